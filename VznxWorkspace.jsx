@@ -1,348 +1,4406 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import { Plus, X, List, Users, CheckSquare, Edit, Trash2, Aperture } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { Plus, X, List, Users, CheckSquare, Edit, Trash2, Aperture, Calendar, RotateCcw, Download, Upload, Undo2, Redo2, Zap, Shuffle, Lock, Link, Columns, Search, Bookmark, BarChart2, Copy, Layers, MessageSquare, Wifi, WifiOff, RefreshCw, Bell } from 'lucide-react';
 
-// --- Data & Persistence Utilities ---
+// --- Schedule Utilities ---
 
-const INITIAL_PROJECTS = [
-  { id: 'p1', name: 'New Headquarters Design', status: 'In Progress', progress: 0 },
-  { id: 'p2', name: 'Residential Tower 3D Mockup', status: 'Completed', progress: 100 },
-  { id: 'p3', name: 'Client Presentation Prep', status: 'In Progress', progress: 0 },
-];
+const AT_RISK_WINDOW_DAYS = 3; // Open work due within this many days is flagged as at risk
+const AT_RISK_PROGRESS_LAG = 15; // Percentage points a project may trail its elapsed time before it is at risk
 
-const INITIAL_TASKS = [
-  { id: 't1', projectId: 'p1', name: 'Draft Floor Plans', isComplete: false, assignedToMemberId: 'm1' },
-  { id: 't2', projectId: 'p1', name: 'Review Structural Drawings', isComplete: false, assignedToMemberId: 'm2' },
-  { id: 't3', projectId: 'p1', name: 'Submit for Initial Approval', isComplete: false, assignedToMemberId: 'm1' },
-  { id: 't4', projectId: 'p2', name: 'Final Rendering', isComplete: true, assignedToMemberId: 'm3' },
-  { id: 't5', projectId: 'p2', name: 'Model Testing', isComplete: true, assignedToMemberId: 'm3' },
-  { id: 't6', projectId: 'p3', name: 'Gather Project Statistics', isComplete: false, assignedToMemberId: 'm2' },
-];
+const SCHEDULE_STATUS = {
+  ON_TRACK: 'On Track',
+  AT_RISK: 'At Risk',
+  OVERDUE: 'Overdue',
+};
 
-const INITIAL_TEAM = [
-  { id: 'm1', name: 'Alice Johnson', maxCapacity: 5 }, // Added maxCapacity
-  { id: 'm2', name: 'Ben Smith', maxCapacity: 5 },    // Added maxCapacity
-  { id: 'm3', name: 'Chloe Lee', maxCapacity: 4 },    // Added maxCapacity
-];
+// Sort rank for schedule statuses; unscheduled or finished items sort last
+const SCHEDULE_STATUS_RANK = {
+  [SCHEDULE_STATUS.OVERDUE]: 0,
+  [SCHEDULE_STATUS.AT_RISK]: 1,
+  [SCHEDULE_STATUS.ON_TRACK]: 2,
+};
 
-const LOCAL_STORAGE_KEY = 'vznx_workspace_data';
+// Dates are stored as local 'YYYY-MM-DD' keys so they round-trip through <input type="date">
+const toDateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
 
-// Helper function to safely parse local storage data
-const getInitialData = (key, initialValue) => {
-  try {
-    const item = window.localStorage.getItem(key);
-    return item ? JSON.parse(item) : initialValue;
-  } catch (error) {
-    console.error("Error reading localStorage:", error);
-    return initialValue;
-  }
+const parseDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
 };
 
-// Helper function to update a single key in the combined local storage object
-const updateLocalStorage = (data) => {
-  window.localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(data));
+const addDays = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return toDateKey(new Date(year, month - 1, day + days));
 };
 
-// --- Reusable Components ---
+// Whole days from `fromKey` to `toKey` (negative when `toKey` is in the past)
+const daysBetween = (fromKey, toKey) => Math.round((Date.parse(toKey) - Date.parse(fromKey)) / 86400000);
 
-const ProgressBar = React.memo(({ progress, colorClass = 'bg-blue-500' }) => {
-  // Ensure progress is within [0, 100] range
-  const safeProgress = Math.min(100, Math.max(0, progress));
+const getTaskScheduleStatus = (task, today = toDateKey(new Date())) => {
+  if (task.isComplete || !task.dueDate) return null;
 
-  return (
-    <div className="w-full bg-gray-200 rounded-full h-2.5">
-      <div
-        className={`h-2.5 rounded-full transition-all duration-500 ${colorClass}`}
-        style={{ width: `${safeProgress}%` }}
-      ></div>
-    </div>
-  );
-});
+  const daysLeft = daysBetween(today, task.dueDate);
+  if (daysLeft < 0) return SCHEDULE_STATUS.OVERDUE;
+  if (daysLeft <= AT_RISK_WINDOW_DAYS) return SCHEDULE_STATUS.AT_RISK;
+  return SCHEDULE_STATUS.ON_TRACK;
+};
 
-const Card = ({ children, className = '' }) => (
-  <div className={`bg-white p-6 rounded-xl shadow-lg border border-gray-100 ${className}`}>
-    {children}
-  </div>
-);
+// Date inputs only hint at the order through `min`, so handlers check it again.
+// Returns a message for the form, or null when the range is fine; either date may be left open.
+const getDateRangeError = (startDate, dueDate) =>
+  (startDate && dueDate && startDate > dueDate ? 'The start date must be on or before the due date.' : null);
 
-// --- Logic & State Manager Component (App) ---
+const compareByDueDate = (a, b) => (a.dueDate || '9999-12-31').localeCompare(b.dueDate || '9999-12-31');
 
-const App = () => {
-  // Load state from local storage or use initial data
-  const [data, setData] = useState(() => {
-    const storedData = getInitialData(LOCAL_STORAGE_KEY, {});
+// Sorts overdue items first, then at risk, then on track; ties are broken by due date
+const compareByScheduleStatus = (statuses) => (a, b) => {
+  const rankA = SCHEDULE_STATUS_RANK[statuses[a.id]] ?? 3;
+  const rankB = SCHEDULE_STATUS_RANK[statuses[b.id]] ?? 3;
+  return rankA - rankB || compareByDueDate(a, b);
+};
+
+// --- Effort Utilities ---
+
+const DEFAULT_TASK_ESTIMATE = 1; // Effort points assumed for tasks without an estimate
+
+const PROGRESS_MODES = {
+  COUNT: 'count',   // Every task weighs the same
+  EFFORT: 'effort', // Tasks are weighted by their estimate
+};
+
+const getTaskEffort = (task) => (task.estimate > 0 ? task.estimate : DEFAULT_TASK_ESTIMATE);
+
+const sumEffort = (tasks) => tasks.reduce((total, task) => total + getTaskEffort(task), 0);
+
+// --- Availability Utilities ---
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const FULL_TIME_DAYS = 5; // maxCapacity describes a five-day week at 100% allocation
+const CAPACITY_WEEKS = 6; // Weeks covered by the team's capacity forecast
+
+const DEFAULT_AVAILABILITY = {
+  workingDays: [1, 2, 3, 4, 5], // Day numbers as returned by Date#getDay (0 = Sunday)
+  allocationPct: 100,
+  leave: [], // [{ start, end }] inclusive date keys
+};
+
+const getAvailability = (member) => ({ ...DEFAULT_AVAILABILITY, ...member.availability });
+
+const roundToTenth = (value) => Math.round(value * 10) / 10;
+
+// Monday of the week containing `dateKey`
+const startOfWeek = (dateKey) => addDays(dateKey, -((parseDateKey(dateKey).getDay() + 6) % 7));
+
+const getWeekStarts = (count, today = toDateKey(new Date())) =>
+  Array.from({ length: count }, (_, index) => addDays(startOfWeek(today), index * 7));
+
+const formatWeekLabel = (weekStart) =>
+  parseDateKey(weekStart).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+const isOnLeave = (availability, dateKey) =>
+  availability.leave.some(range => range.start <= dateKey && dateKey <= range.end);
+
+// Working days in the week starting on Monday `weekStart` that the member is not on leave
+const countAvailableDays = (member, weekStart) => {
+  const availability = getAvailability(member);
+  return Array.from({ length: 7 }, (_, index) => index).filter(index =>
+    availability.workingDays.includes((index + 1) % 7) && !isOnLeave(availability, addDays(weekStart, index))
+  ).length;
+};
+
+// Scale a full-time capacity to the member's allocation and the days they can work that week
+const getWeeklyCapacity = (member, fullTimeCapacity, weekStart) => {
+  const { allocationPct } = getAvailability(member);
+  return roundToTenth(fullTimeCapacity * (allocationPct / 100) * (countAvailableDays(member, weekStart) / FULL_TIME_DAYS));
+};
+
+// Task capacity for the current week, used when handing out work
+const getCurrentCapacity = (member) => getWeeklyCapacity(member, member.maxCapacity, startOfWeek(toDateKey(new Date())));
+
+// Whether an open task occupies its assignee during the week starting `weekStart`.
+// Undated tasks are ongoing, and overdue tasks stay on the current week until they are done.
+const isTaskActiveInWeek = (task, weekStart, currentWeekStart) => {
+  if (task.isComplete) return false;
+  if (task.startDate && task.startDate > addDays(weekStart, 6)) return false;
+  if (task.dueDate && task.dueDate < weekStart) return weekStart === currentWeekStart;
+  return true;
+};
+
+// Calendar weeks a dated task spans; its effort is spread evenly over them
+const countTaskWeeks = (task) => {
+  if (!task.startDate || !task.dueDate) return 1;
+  return Math.max(1, Math.floor(daysBetween(startOfWeek(task.startDate), startOfWeek(task.dueDate)) / 7) + 1);
+};
+
+// Load and capacity of one member for each week in `weekStarts`, in tasks or effort points.
+// Returns [{ weekStart, load, capacity, availableDays }].
+const buildCapacityForecast = (member, tasks, weekStarts, useEffort) => {
+  const openTasks = tasks.filter(t => t.assignedToMemberId === member.id && !t.isComplete);
+  const fullTimeCapacity = useEffort ? (member.maxEffort || member.maxCapacity) : member.maxCapacity;
+
+  return weekStarts.map(weekStart => {
+    const activeTasks = openTasks.filter(t => isTaskActiveInWeek(t, weekStart, weekStarts[0]));
+    const load = useEffort
+      ? roundToTenth(activeTasks.reduce((total, t) => total + getTaskEffort(t) / countTaskWeeks(t), 0))
+      : activeTasks.length;
     return {
-      projects: storedData.projects || INITIAL_PROJECTS,
-      tasks: storedData.tasks || INITIAL_TASKS,
-      teamMembers: storedData.teamMembers || INITIAL_TEAM,
-      activeView: 'dashboard', // 'dashboard', 'tasks', 'team'
-      selectedProjectId: null,
+      weekStart,
+      load,
+      capacity: getWeeklyCapacity(member, fullTimeCapacity, weekStart),
+      availableDays: countAvailableDays(member, weekStart),
     };
   });
+};
 
-  // Persist data whenever projects, tasks, or teamMembers change
-  useEffect(() => {
-    updateLocalStorage({
-      projects: data.projects,
-      tasks: data.tasks,
-      teamMembers: data.teamMembers,
-    });
-  }, [data.projects, data.tasks, data.teamMembers]);
+// --- Dependency Utilities ---
 
-  // --- Core Data Manipulation Logic ---
+// A task's `dependsOn` lists ids of tasks in the same project that must be complete before it can start
 
-  // Function to calculate project progress based on tasks (BONUS)
-  const calculateProjectProgress = useCallback((projectId, currentTasks) => {
-    const projectTasks = currentTasks.filter(t => t.projectId === projectId);
-    if (projectTasks.length === 0) return 0;
+const getDependencies = (task) => task.dependsOn || [];
 
-    const completedTasks = projectTasks.filter(t => t.isComplete).length;
-    return Math.round((completedTasks / projectTasks.length) * 100);
-  }, []);
+// Incomplete tasks that still block `task`
+const getBlockingTasks = (task, tasks) =>
+  getDependencies(task)
+    .map(id => tasks.find(t => t.id === id))
+    .filter(dependency => dependency && !dependency.isComplete);
 
-  // Update projects state with calculated progress
-  const updateProjectProgress = useCallback((updatedTasks = data.tasks) => {
-    setData(prevData => {
-      const updatedProjects = prevData.projects.map(project => {
-        const newProgress = calculateProjectProgress(project.id, updatedTasks);
-        return {
-          ...project,
-          progress: newProgress,
-          status: newProgress === 100 ? 'Completed' : 'In Progress',
-        };
-      });
-      return { ...prevData, projects: updatedProjects };
-    });
-  }, [data.tasks, calculateProjectProgress]);
+const isTaskBlocked = (task, tasks) => !task.isComplete && getBlockingTasks(task, tasks).length > 0;
 
-  // Run initial progress calculation when app loads
-  useEffect(() => {
-    updateProjectProgress(data.tasks);
-  }, [updateProjectProgress, data.tasks]);
+// Why a blocked task cannot be completed, for tooltips and refusal notices
+const getBlockedHint = (task, tasks) =>
+  `"${task.name}" is waiting on ${getBlockingTasks(task, tasks).map(t => t.name).join(', ')} and cannot be completed yet`;
 
-  // --- Handlers for Dashboard (CRUD) ---
+// If `taskId` depending on `dependsOn` would close a loop, return the loop as task ids
+// (e.g. ['t1', 't3', 't1']); otherwise null
+const findDependencyCycle = (tasks, taskId, dependsOn) => {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const visited = new Set();
 
-  const handleAddProject = (name) => {
-    if (!name) return;
-    const newProject = {
-      id: `p${Date.now()}`,
-      name,
-      status: 'In Progress',
-      progress: 0,
-    };
-    setData(prev => ({ ...prev, projects: [...prev.projects, newProject] }));
+  const walk = (id, path) => {
+    if (id === taskId) return [...path, id];
+    if (visited.has(id)) return null;
+    visited.add(id);
+    const task = byId.get(id);
+    for (const next of task ? getDependencies(task) : []) {
+      const cycle = walk(next, [...path, id]);
+      if (cycle) return cycle;
+    }
+    return null;
   };
 
-  const handleDeleteProject = (projectId) => {
-    setData(prev => {
-      const filteredProjects = prev.projects.filter(p => p.id !== projectId);
-      const filteredTasks = prev.tasks.filter(t => t.projectId !== projectId);
-      // Update progress for all remaining projects
-      updateProjectProgress(filteredTasks);
-      return { ...prev, projects: filteredProjects, tasks: filteredTasks };
-    });
-  };
+  for (const id of dependsOn) {
+    const cycle = walk(id, [taskId]);
+    if (cycle) return cycle;
+  }
+  return null;
+};
 
-  const handleManualUpdateProgress = (projectId, newProgress) => {
-    setData(prev => {
-      const updatedProjects = prev.projects.map(p =>
-        p.id === projectId
-          ? {
-              ...p,
-              progress: newProgress,
-              status: newProgress === 100 ? 'Completed' : 'In Progress',
-            }
-          : p
-      );
-      return { ...prev, projects: updatedProjects };
-    });
-  };
+// The chain of incomplete tasks with the most remaining effort that gates completion of `tasks`
+// (one project's tasks), ordered from the first task to start to the last. Returns task ids.
+const getCriticalPath = (tasks) => {
+  const open = new Map(tasks.filter(t => !t.isComplete).map(t => [t.id, t]));
+  const memo = new Map(); // id -> { effort, path } of the heaviest chain ending at that task
 
-  const handleViewTasks = (projectId) => {
-    setData(prev => ({ ...prev, activeView: 'tasks', selectedProjectId: projectId }));
+  const chainEndingAt = (id, visiting = new Set()) => {
+    if (memo.has(id)) return memo.get(id);
+    // Imported data may still contain a loop; treat the repeated task as a chain start
+    if (visiting.has(id)) return { effort: 0, path: [] };
+    visiting.add(id);
+    const task = open.get(id);
+    const heaviest = getDependencies(task)
+      .filter(dependencyId => open.has(dependencyId))
+      .map(dependencyId => chainEndingAt(dependencyId, visiting))
+      .reduce((best, chain) => (chain.effort > best.effort ? chain : best), { effort: 0, path: [] });
+    visiting.delete(id);
+    const chain = { effort: heaviest.effort + getTaskEffort(task), path: [...heaviest.path, id] };
+    memo.set(id, chain);
+    return chain;
   };
 
-  // --- Handlers for Tasks ---
+  return [...open.keys()]
+    .map(id => chainEndingAt(id))
+    .reduce((best, chain) => (chain.effort > best.effort ? chain : best), { effort: 0, path: [] })
+    .path;
+};
 
-  const handleToggleTask = (taskId) => {
-    setData(prev => {
-      const updatedTasks = prev.tasks.map(t =>
-        t.id === taskId ? { ...t, isComplete: !t.isComplete } : t
-      );
-      // Immediately update project progress after toggling a task (BONUS)
-      updateProjectProgress(updatedTasks);
-      return { ...prev, tasks: updatedTasks };
-    });
-  };
-  
-  // --- Handlers for Team Members ---
-  
-  const handleAddTeamMember = (name, capacity) => { // Now accepts capacity
-    if (!name || capacity === undefined) return;
-    const newMember = {
-      id: `m${Date.now()}`,
-      name,
-      maxCapacity: Math.max(1, capacity), // Ensure capacity is at least 1
-    };
-    setData(prev => ({ ...prev, teamMembers: [...prev.teamMembers, newMember] }));
-  };
+// --- Workflow Utilities ---
 
-  const handleDeleteTeamMember = (memberId) => {
-    setData(prev => {
-      const updatedMembers = prev.teamMembers.filter(m => m.id !== memberId);
-      // Remove all tasks assigned to the deleted member
-      const updatedTasks = prev.tasks.filter(t => t.assignedToMemberId !== memberId);
-      
-      // Recalculate project progress based on the remaining tasks
-      updateProjectProgress(updatedTasks); 
-      
-      return { 
-          ...prev, 
-          teamMembers: updatedMembers, 
-          tasks: updatedTasks 
-      };
-    });
-  };
+// Board columns a task moves through. Tasks in a `isDone` column count as complete; every other
+// column is open work. A task's `isComplete` flag is kept in step with its column by syncTaskStatuses.
+const DEFAULT_WORKFLOW = [
+  { id: 'todo', name: 'To Do', isDone: false },
+  { id: 'in-progress', name: 'In Progress', isDone: false },
+  { id: 'in-review', name: 'In Review', isDone: false },
+  { id: 'done', name: 'Done', isDone: true },
+];
 
-  const handleEditTeamMember = (memberId, newName, newCapacity) => {
-    setData(prev => {
-      const updatedMembers = prev.teamMembers.map(m => {
-        if (m.id === memberId) {
-          // Ensure capacity is a positive integer
-          const safeCapacity = Math.max(1, parseInt(newCapacity) || 1);
-          return {
-            ...m,
-            name: newName.trim(),
-            maxCapacity: safeCapacity,
-          };
-        }
-        return m;
-      });
-      return { ...prev, teamMembers: updatedMembers };
-    });
-  };
+const PROJECT_STATUS = {
+  IN_PROGRESS: 'In Progress',
+  COMPLETED: 'Completed',
+  ON_HOLD: 'On Hold',
+  CANCELLED: 'Cancelled',
+};
 
-  // --- Navigation Component ---
+// Statuses set by hand; they stick until changed, whatever the project's progress does
+const PAUSED_PROJECT_STATUSES = [PROJECT_STATUS.ON_HOLD, PROJECT_STATUS.CANCELLED];
 
-  const Sidebar = () => (
-    <nav className="p-4 space-y-2 bg-white border-r border-gray-200">
-      <div className="flex items-center justify-center p-3 mb-6 font-mono text-xl font-bold text-gray-800 bg-gray-50 rounded-lg">
-        VZNX
-      </div>
+const getProjectStatus = (project, progress) => {
+  if (PAUSED_PROJECT_STATUSES.includes(project.status)) return project.status;
+  return progress === 100 ? PROJECT_STATUS.COMPLETED : PROJECT_STATUS.IN_PROGRESS;
+};
 
-      <button
-        onClick={() => setData(prev => ({ ...prev, activeView: 'dashboard', selectedProjectId: null }))}
-        className={`flex items-center w-full p-3 rounded-xl text-sm transition-colors ${
-          data.activeView === 'dashboard'
-            ? 'bg-blue-600 text-white shadow-md'
-            : 'text-gray-600 hover:bg-gray-100'
-        }`}
-      >
-        <List className="w-5 h-5 mr-3" />
-        Project Dashboard
-      </button>
+// Progress typed in by hand, as a whole percentage from 0 to 100
+const clampProgress = (value) => Math.min(100, Math.max(0, Math.round(Number(value) || 0)));
 
-      <button
-        onClick={() => setData(prev => ({ ...prev, activeView: 'team', selectedProjectId: null }))}
-        className={`flex items-center w-full p-3 rounded-xl text-sm transition-colors ${
-          data.activeView === 'team'
-            ? 'bg-blue-600 text-white shadow-md'
-            : 'text-gray-600 hover:bg-gray-100'
-        }`}
-      >
-        <Users className="w-5 h-5 mr-3" />
-        Team Overview
-      </button>
+const isStatusDone = (workflow, statusId) => !!workflow.find(column => column.id === statusId)?.isDone;
 
-      {data.activeView === 'tasks' && (
-        <button
-          onClick={() => setData(prev => ({ ...prev, activeView: 'tasks' }))}
-          className="flex items-center w-full p-3 text-sm text-white bg-blue-700 rounded-xl shadow-md"
-        >
-          <Aperture className="w-5 h-5 mr-3" />
-          Current Project Tasks
-        </button>
-      )}
-    </nav>
-  );
+// First column of the workflow that is (or is not) terminal, used for new and toggled tasks
+const getDefaultStatus = (workflow, isDone) => (workflow.find(column => column.isDone === isDone) || workflow[0]).id;
 
-  // --- View Selector ---
+// A task's completion follows its column; tasks without a known column are placed by `isComplete`
+const isTaskDone = (task, workflow) =>
+  workflow.some(column => column.id === task.status) ? isStatusDone(workflow, task.status) : task.isComplete;
 
-  const renderContent = () => {
-    switch (data.activeView) {
-      case 'tasks':
-        // Ensure we have a valid project selected when viewing tasks
-        const project = data.projects.find(p => p.id === data.selectedProjectId);
-        if (!project) return <div className="p-8 text-center text-gray-500">Project not found or invalid selection.</div>;
-        return (
-          <TaskList
-            project={project}
-            tasks={data.tasks.filter(t => t.projectId === project.id)}
-            teamMembers={data.teamMembers}
-            onToggleTask={handleToggleTask}
-            onBack={() => setData(prev => ({ ...prev, activeView: 'dashboard', selectedProjectId: null }))}
-          />
-        );
-      case 'team':
-        return <TeamOverview 
-          tasks={data.tasks} 
-          teamMembers={data.teamMembers} 
-          onAddTeamMember={handleAddTeamMember}
-          onDeleteTeamMember={handleDeleteTeamMember}
-          onEditTeamMember={handleEditTeamMember} // Pass the new edit handler
-        />;
-      case 'dashboard':
-      default:
-        return (
-          <ProjectDashboard
-            projects={data.projects}
-            onAddProject={handleAddProject}
-            onDeleteProject={handleDeleteProject}
-            onManualUpdateProgress={handleManualUpdateProgress}
-            onViewTasks={handleViewTasks}
-          />
-        );
-    }
-  };
+// Give every task a column from `workflow` and align `isComplete` with it
+const syncTaskStatuses = (tasks, workflow) => tasks.map(task => {
+  const status = workflow.some(column => column.id === task.status) ? task.status : getDefaultStatus(workflow, !!task.isComplete);
+  const isComplete = isStatusDone(workflow, status);
+  return task.status === status && task.isComplete === isComplete ? task : { ...task, status, isComplete };
+});
 
-  return (
-    <div className="flex h-screen overflow-hidden bg-gray-50 font-sans">
-      <div className="w-64 flex-shrink-0">
-        <Sidebar />
-      </div>
-      <main className="flex-1 p-8 overflow-y-auto">
-        <h1 className="mb-8 text-3xl font-extrabold text-gray-900">
-          {data.activeView === 'dashboard' && 'Project Dashboard'}
-          {data.activeView === 'tasks' && 'Project Task List'}
-          {data.activeView === 'team' && 'Team Overview'}
-        </h1>
-        {renderContent()}
-      </main>
-    </div>
-  );
+// A workflow needs named columns, at least one of them open and one terminal
+const validateWorkflow = (workflow) => {
+  const errors = [];
+  if (workflow.some(column => !column.name.trim())) errors.push('Every column needs a name.');
+  if (!workflow.some(column => column.isDone)) errors.push('Mark at least one column as done.');
+  if (!workflow.some(column => !column.isDone)) errors.push('Keep at least one column for open work.');
+  return errors;
 };
 
-// --- Project Dashboard Component ---
+// --- Checklist & Comment Utilities ---
 
-const ProjectDashboard = ({ projects, onAddProject, onDeleteProject, onManualUpdateProgress, onViewTasks }) => {
-  const [newProjectName, setNewProjectName] = useState('');
-  const [editingId, setEditingId] = useState(null);
-  const [editProgress, setEditProgress] = useState(0);
+// Tasks carry checklist items { id, text, isDone } and comments { id, parentId, authorId, authorName, body, timestamp };
+// a comment with a parentId is a reply to another comment on the same task.
 
-  const handleStartEdit = (project) => {
-    setEditingId(project.id);
-    setEditProgress(project.progress);
-  };
+const getChecklist = (task) => task.checklist || [];
+const getComments = (task) => task.comments || [];
 
-  const handleSaveEdit = (projectId) => {
-    onManualUpdateProgress(projectId, editProgress);
-    setEditingId(null);
-  };
+const countDoneItems = (task) => getChecklist(task).filter(item => item.isDone).length;
 
-  return (
-    <>
-      <Card className="mb-8">
-        <h2 className="text-xl font-semibold mb-4 text-gray-700">Add New Project</h2>
-        <div className="flex space-x-3">
+// Replace a task's checklist and roll it up: ticking off the last item completes the task, and
+// an open item (reopened or newly added) reopens it. An empty checklist leaves completion alone.
+const withChecklist = (task, checklist, workflow) => {
+  const allDone = checklist.length > 0 && checklist.every(item => item.isDone);
+  if (checklist.length === 0 || allDone === task.isComplete) return { ...task, checklist };
+  return { ...task, checklist, isComplete: allDone, status: getDefaultStatus(workflow, allDone) };
+};
+
+// Comments keyed by the comment they reply to ('root' for top-level ones), oldest first
+const groupCommentReplies = (comments) => comments.reduce((groups, comment) => {
+  const key = comment.parentId || 'root';
+  return { ...groups, [key]: [...(groups[key] || []), comment] };
+}, {});
+
+// --- Team Hand-off Utilities ---
+
+// What happens to a departing member's tasks
+const HANDOFF_STRATEGIES = {
+  REASSIGN: 'reassign', // Every task goes to one chosen member
+  SPLIT: 'split',       // Open tasks are spread over the members with the most headroom
+  UNASSIGN: 'unassign', // Tasks stay in their projects without an assignee
+};
+
+// A task counts as unassigned when it has no assignee or its assignee no longer exists
+const isTaskUnassigned = (task, teamMembers) => !teamMembers.some(m => m.id === task.assignedToMemberId);
+
+// Plan which member should take each open task, always picking whoever has the most remaining capacity.
+// Returns a map of taskId -> memberId; members may end up over capacity when there is not enough headroom.
+const planTaskSplit = (tasksToMove, members, allTasks) => {
+  const remaining = new Map(members.map(member => [
+    member.id,
+    getCurrentCapacity(member) - allTasks.filter(t => t.assignedToMemberId === member.id && !t.isComplete).length,
+  ]));
+  const plan = {};
+  tasksToMove.forEach(task => {
+    const [memberId] = [...remaining.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+    plan[task.id] = memberId;
+    remaining.set(memberId, remaining.get(memberId) - 1);
+  });
+  return plan;
+};
+
+// Work out the new assignee of every task owned by a departing member
+const planMemberHandoff = (memberId, { strategy, targetMemberId }, teamMembers, tasks) => {
+  const memberTasks = tasks.filter(t => t.assignedToMemberId === memberId);
+  const remainingMembers = teamMembers.filter(m => m.id !== memberId);
+
+  if (strategy === HANDOFF_STRATEGIES.REASSIGN && targetMemberId) {
+    return Object.fromEntries(memberTasks.map(task => [task.id, targetMemberId]));
+  }
+  if (strategy === HANDOFF_STRATEGIES.SPLIT && remainingMembers.length > 0) {
+    // Completed tasks add no load, so only open work is split; finished work becomes unassigned
+    const split = planTaskSplit(memberTasks.filter(t => !t.isComplete), remainingMembers, tasks);
+    return Object.fromEntries(memberTasks.map(task => [task.id, split[task.id] || null]));
+  }
+  return Object.fromEntries(memberTasks.map(task => [task.id, null]));
+};
+
+// --- Assignment Suggestions ---
+
+// Members ordered by remaining capacity (this week's capacity minus open tasks), most headroom first
+const rankMembersByHeadroom = (teamMembers, tasks) => teamMembers
+  .map(member => {
+    const openTasks = tasks.filter(t => t.assignedToMemberId === member.id && !t.isComplete).length;
+    const capacity = getCurrentCapacity(member);
+    return { member, openTasks, capacity, headroom: capacity - openTasks };
+  })
+  .sort((a, b) => b.headroom - a.headroom);
+
+// Propose moves that bring over-capacity members back to their limit.
+// The tasks due last are moved first, and only onto members who still have headroom.
+// Returns [{ taskId, fromMemberId, toMemberId }].
+const planRebalance = (teamMembers, tasks) => {
+  const headroom = new Map(rankMembersByHeadroom(teamMembers, tasks).map(entry => [entry.member.id, entry.headroom]));
+  const moves = [];
+
+  teamMembers.forEach(member => {
+    const movable = tasks
+      .filter(t => t.assignedToMemberId === member.id && !t.isComplete)
+      .sort((a, b) => compareByDueDate(b, a));
+
+    while (headroom.get(member.id) < 0 && movable.length > 0) {
+      const [targetId, targetHeadroom] = [...headroom.entries()]
+        .filter(([id]) => id !== member.id)
+        .reduce((best, entry) => (!best || entry[1] > best[1] ? entry : best), null) || [];
+      if (!targetId || targetHeadroom <= 0) break;
+
+      const task = movable.shift();
+      moves.push({ taskId: task.id, fromMemberId: member.id, toMemberId: targetId });
+      headroom.set(member.id, headroom.get(member.id) + 1);
+      headroom.set(targetId, targetHeadroom - 1);
+    }
+  });
+  return moves;
+};
+
+// --- Roles & Permissions ---
+
+const ROLES = {
+  ADMIN: 'admin',
+  LEAD: 'lead',
+  MEMBER: 'member',
+};
+
+const ROLE_LABELS = {
+  [ROLES.ADMIN]: 'Admin',
+  [ROLES.LEAD]: 'Project Lead',
+  [ROLES.MEMBER]: 'Member',
+};
+
+const PERMISSIONS = {
+  DELETE_PROJECT: 'delete projects',
+  DELETE_TASK: 'delete tasks',
+  DELETE_MEMBER: 'delete team members',
+  DELETE_TEMPLATE: 'delete templates',
+  OVERRIDE_PROGRESS: 'set progress manually',
+  EDIT_PROJECT: 'change project settings',
+  MANAGE_WORKFLOW: 'change workflow columns',
+  TOGGLE_ANY_TASK: "complete other people's tasks",
+  MANAGE_ROLES: 'change roles',
+  IMPORT_DATA: 'import data',
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.LEAD]: [PERMISSIONS.DELETE_PROJECT, PERMISSIONS.DELETE_TASK, PERMISSIONS.DELETE_TEMPLATE, PERMISSIONS.OVERRIDE_PROGRESS, PERMISSIONS.EDIT_PROJECT, PERMISSIONS.MANAGE_WORKFLOW, PERMISSIONS.TOGGLE_ANY_TASK],
+  [ROLES.MEMBER]: [],
+};
+
+const hasPermission = (user, permission) => !!user && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+
+// Members may always toggle the tasks assigned to them
+const canToggleTask = (user, task) =>
+  hasPermission(user, PERMISSIONS.TOGGLE_ANY_TASK) || (!!user && task.assignedToMemberId === user.id);
+
+// Tooltip for a task whose dates `user` may not change, e.g. a bar on the timeline
+const TASK_DATES_HINT = 'You can only change the dates of tasks assigned to you';
+
+// Tooltip for a disabled completion toggle, or undefined when `user` may toggle `task`.
+// `tasks` must include the tasks it depends on.
+const getToggleHint = (user, task, tasks) => {
+  if (!canToggleTask(user, task)) return getPermissionHint(PERMISSIONS.TOGGLE_ANY_TASK);
+  if (isTaskBlocked(task, tasks)) return getBlockedHint(task, tasks);
+  return undefined;
+};
+
+const DELETE_PERMISSIONS = {
+  projects: PERMISSIONS.DELETE_PROJECT,
+  tasks: PERMISSIONS.DELETE_TASK,
+  teamMembers: PERMISSIONS.DELETE_MEMBER,
+  templates: PERMISSIONS.DELETE_TEMPLATE,
+};
+
+// Undoing or redoing an entry makes the same kind of change as the actions behind it, so it needs the
+// same permissions: undoing "Add project" deletes a project, redoing a role change changes a role.
+// `isUndo` sets the direction. Returns the tooltip for the first one `user` lacks, or undefined.
+const getHistoryHint = (user, entry, isUndo) => {
+  const permissions = entry.changes.flatMap(change => {
+    const from = isUndo ? change.after : change.before;
+    const to = isUndo ? change.before : change.after;
+    // Workflow columns decide which tasks are complete, across every project
+    if (change.id === null) return [PERMISSIONS.MANAGE_WORKFLOW];
+    const needed = [];
+    if (from && !to && DELETE_PERMISSIONS[change.collection]) needed.push(DELETE_PERMISSIONS[change.collection]);
+    if (change.collection === 'projects' && from && to
+      && (from.isManualProgress !== to.isManualProgress || (to.isManualProgress && from.progress !== to.progress))) {
+      needed.push(PERMISSIONS.OVERRIDE_PROGRESS);
+    }
+    // Statuses that follow progress change with any task, so only pausing and resuming counts here
+    if (change.collection === 'projects' && from && to
+      && (from.startDate !== to.startDate || from.dueDate !== to.dueDate || from.progressMode !== to.progressMode
+        || (from.status !== to.status && [from, to].some(project => PAUSED_PROJECT_STATUSES.includes(project.status))))) {
+      needed.push(PERMISSIONS.EDIT_PROJECT);
+    }
+    if (change.collection === 'tasks' && [from, to].some(task => task && !canToggleTask(user, task))) {
+      needed.push(PERMISSIONS.TOGGLE_ANY_TASK);
+    }
+    if (change.collection === 'teamMembers' && to && (from ? from.role : ROLES.MEMBER) !== to.role) {
+      needed.push(PERMISSIONS.MANAGE_ROLES);
+    }
+    return needed;
+  });
+  const missing = permissions.find(permission => !hasPermission(user, permission));
+  return missing ? getPermissionHint(missing) : undefined;
+};
+
+// Tooltip for a control the current user may not use
+const getPermissionHint = (permission) => {
+  const roles = Object.keys(ROLE_PERMISSIONS).filter(role => ROLE_PERMISSIONS[role].includes(permission));
+  return `Only ${roles.map(role => `${ROLE_LABELS[role].toLowerCase()}s`).join(' and ')} can ${permission}`;
+};
+
+const LOCAL_ACTOR = 'Local user'; // Acting user for a workspace without team members
+
+const CURRENT_USER_KEY = 'vznx_current_user'; // Who is using this browser; not part of the shared workspace
+
+const loadCurrentUserId = () => {
+  try {
+    return window.localStorage.getItem(CURRENT_USER_KEY);
+  } catch (error) {
+    console.error("Error reading current user:", error);
+    return null;
+  }
+};
+
+const saveCurrentUserId = (userId) => {
+  window.localStorage.setItem(CURRENT_USER_KEY, userId);
+};
+
+// The member this browser acts as, falling back to the first admin. A team without any admin
+// (or without any members) is treated as fully trusted so nobody is locked out of it.
+const resolveCurrentUser = (teamMembers, userId) => {
+  const user = teamMembers.find(m => m.id === userId) || teamMembers.find(m => m.role === ROLES.ADMIN) || teamMembers[0];
+  if (!user) return { id: null, name: LOCAL_ACTOR, role: ROLES.ADMIN };
+  return teamMembers.some(m => m.role === ROLES.ADMIN) ? user : { ...user, role: ROLES.ADMIN };
+};
+
+// --- Project Templates ---
+
+// A template is a reusable task list: { id, name, tasks: [{ id, name, estimate, assignedToMemberId, assigneeRole,
+// startOffsetDays, dueOffsetDays, dependsOn, checklist }] }. Offsets count days from the project's start date,
+// dependsOn refers to other tasks of the same template and checklist holds the item texts.
+
+// Date a project's task offsets are measured from: its start date, else its earliest task start
+const getProjectAnchorDate = (project, projectTasks) =>
+  project.startDate || projectTasks.map(t => t.startDate).filter(Boolean).sort()[0] || null;
+
+// Capture a project's tasks as a template; completion is dropped and dates become offsets
+const buildTemplateFromProject = (project, tasks, teamMembers, name) => {
+  const projectTasks = tasks.filter(t => t.projectId === project.id);
+  const anchor = getProjectAnchorDate(project, projectTasks);
+  const templateIds = new Map(projectTasks.map(task => [task.id, createId('tt')]));
+  const toOffset = (dateKey) => (anchor && dateKey ? daysBetween(anchor, dateKey) : null);
+
+  return {
+    id: createId('tpl'),
+    name,
+    tasks: projectTasks.map(task => ({
+      id: templateIds.get(task.id),
+      name: task.name,
+      estimate: task.estimate ?? null,
+      assignedToMemberId: task.assignedToMemberId || null,
+      // Lets the task go to someone in the same role once the member has left
+      assigneeRole: teamMembers.find(m => m.id === task.assignedToMemberId)?.role || null,
+      startOffsetDays: toOffset(task.startDate),
+      dueOffsetDays: toOffset(task.dueDate),
+      dependsOn: getDependencies(task).filter(id => templateIds.has(id)).map(id => templateIds.get(id)),
+      checklist: getChecklist(task).map(item => item.text),
+    })),
+  };
+};
+
+// A template task goes to its default member while they are on the team, otherwise to the
+// member of its role with the most headroom, otherwise nobody
+const resolveTemplateAssignee = (templateTask, teamMembers, tasks) => {
+  if (teamMembers.some(m => m.id === templateTask.assignedToMemberId)) return templateTask.assignedToMemberId;
+  if (!templateTask.assigneeRole) return null;
+  const [best] = rankMembersByHeadroom(teamMembers.filter(m => m.role === templateTask.assigneeRole), tasks);
+  return best ? best.member.id : null;
+};
+
+// Open tasks for `projectId` built from a template, dated from `startDate` when one is given
+const buildTasksFromTemplate = (template, projectId, startDate, { teamMembers, tasks, workflow }) => {
+  const taskIds = new Map(template.tasks.map(templateTask => [templateTask.id, createId('t')]));
+  const toDate = (offset) => (startDate && offset !== null && offset !== undefined ? addDays(startDate, offset) : null);
+
+  return template.tasks.reduce((created, templateTask) => [...created, {
+    id: taskIds.get(templateTask.id),
+    projectId,
+    name: templateTask.name,
+    isComplete: false,
+    status: getDefaultStatus(workflow, false),
+    // Tasks created so far count towards headroom, so role-based picks spread across the role
+    assignedToMemberId: resolveTemplateAssignee(templateTask, teamMembers, [...tasks, ...created]),
+    estimate: templateTask.estimate ?? null,
+    startDate: toDate(templateTask.startOffsetDays),
+    dueDate: toDate(templateTask.dueOffsetDays),
+    dependsOn: (templateTask.dependsOn || []).filter(id => taskIds.has(id)).map(id => taskIds.get(id)),
+    checklist: (templateTask.checklist || []).map(text => ({ id: createId('c'), text, isDone: false })),
+    comments: [],
+  }], []);
+};
+
+// Days from the start of a templated project to its last due date
+const getTemplateDuration = (template) => Math.max(0, ...template.tasks.map(t => t.dueOffsetDays ?? 0));
+
+// Copy a project with its tasks reopened; estimates, assignees and dependencies carry over.
+// Dates keep their offsets from the project's start, which moves to `startDate` when one is given.
+const buildProjectCopy = (source, workspace, { name, startDate, dueDate }) => {
+  const anchor = getProjectAnchorDate(source, workspace.tasks.filter(t => t.projectId === source.id));
+  const start = startDate || anchor;
+  const shift = (dateKey) => (dateKey && anchor && start ? addDays(start, daysBetween(anchor, dateKey)) : dateKey || null);
+  const project = {
+    ...source,
+    id: createId('p'),
+    name,
+    status: PROJECT_STATUS.IN_PROGRESS,
+    progress: 0,
+    isManualProgress: false,
+    startDate: startDate || source.startDate || null,
+    dueDate: dueDate || shift(source.dueDate),
+  };
+  const template = buildTemplateFromProject(source, workspace.tasks, workspace.teamMembers, source.name);
+  return { project, tasks: buildTasksFromTemplate(template, project.id, start, workspace) };
+};
+
+// --- Data & Persistence Utilities ---
+
+const TODAY = toDateKey(new Date());
+
+const INITIAL_PROJECTS = [
+  { id: 'p1', name: 'New Headquarters Design', status: 'In Progress', progress: 0, progressMode: PROGRESS_MODES.EFFORT, startDate: addDays(TODAY, -14), dueDate: addDays(TODAY, 30) },
+  { id: 'p2', name: 'Residential Tower 3D Mockup', status: 'Completed', progress: 100, startDate: addDays(TODAY, -60), dueDate: addDays(TODAY, -7) },
+  { id: 'p3', name: 'Client Presentation Prep', status: 'In Progress', progress: 0, startDate: addDays(TODAY, -5), dueDate: addDays(TODAY, 2) },
+];
+
+const INITIAL_TASKS = [
+  { id: 't1', projectId: 'p1', name: 'Draft Floor Plans', isComplete: false, assignedToMemberId: 'm1', estimate: 8, startDate: addDays(TODAY, -14), dueDate: addDays(TODAY, -1), dependsOn: [], status: 'in-progress' },
+  { id: 't2', projectId: 'p1', name: 'Review Structural Drawings', isComplete: false, assignedToMemberId: 'm2', estimate: 5, startDate: addDays(TODAY, -7), dueDate: addDays(TODAY, 10), dependsOn: [], status: 'in-review',
+    checklist: [{ id: 'c1', text: 'Check load calculations', isDone: true }, { id: 'c2', text: 'Verify column grid against floor plans', isDone: false }],
+    comments: [{ id: 'cm1', parentId: null, authorId: 'm1', authorName: 'Alice Johnson', body: 'Engineer sent revised drawings for level 3.', timestamp: `${addDays(TODAY, -2)}T09:30:00.000Z` }] },
+  { id: 't3', projectId: 'p1', name: 'Submit for Initial Approval', isComplete: false, assignedToMemberId: 'm1', estimate: 1, startDate: addDays(TODAY, 10), dueDate: addDays(TODAY, 30), dependsOn: ['t1', 't2'], status: 'todo' },
+  { id: 't4', projectId: 'p2', name: 'Final Rendering', isComplete: true, assignedToMemberId: 'm3', startDate: addDays(TODAY, -60), dueDate: addDays(TODAY, -20), dependsOn: [], status: 'done' },
+  { id: 't5', projectId: 'p2', name: 'Model Testing', isComplete: true, assignedToMemberId: 'm3', startDate: addDays(TODAY, -20), dueDate: addDays(TODAY, -7), dependsOn: ['t4'], status: 'done' },
+  { id: 't6', projectId: 'p3', name: 'Gather Project Statistics', isComplete: false, assignedToMemberId: 'm2', startDate: addDays(TODAY, -5), dueDate: addDays(TODAY, 2), dependsOn: [], status: 'todo' },
+];
+
+const INITIAL_TEAM = [
+  { id: 'm1', name: 'Alice Johnson', maxCapacity: 5, role: ROLES.ADMIN }, // Added maxCapacity
+  { id: 'm2', name: 'Ben Smith', maxCapacity: 5, role: ROLES.LEAD, // Added maxCapacity
+    availability: { ...DEFAULT_AVAILABILITY, leave: [{ start: addDays(startOfWeek(TODAY), 7), end: addDays(startOfWeek(TODAY), 11) }] } },
+  { id: 'm3', name: 'Chloe Lee', maxCapacity: 4, role: ROLES.MEMBER, // Added maxCapacity
+    availability: { workingDays: [1, 2, 3, 4], allocationPct: 80, leave: [] } },
+];
+
+const INITIAL_TEMPLATES = [
+  { id: 'tpl1', name: 'Standard Design Job', tasks: [
+    { id: 'tt1', name: 'Draft Floor Plans', estimate: 8, assignedToMemberId: null, assigneeRole: ROLES.MEMBER, startOffsetDays: 0, dueOffsetDays: 13, dependsOn: [] },
+    { id: 'tt2', name: 'Review Structural Drawings', estimate: 5, assignedToMemberId: null, assigneeRole: ROLES.LEAD, startOffsetDays: 7, dueOffsetDays: 24, dependsOn: [] },
+    { id: 'tt3', name: 'Submit for Initial Approval', estimate: 1, assignedToMemberId: null, assigneeRole: ROLES.LEAD, startOffsetDays: 24, dueOffsetDays: 44, dependsOn: ['tt1', 'tt2'] },
+  ] },
+];
+
+const LOCAL_STORAGE_KEY = 'vznx_workspace_data';
+
+// Ids for records created in bulk; the counter keeps ids made within the same millisecond apart
+let idSequence = 0;
+const createId = (prefix) => `${prefix}${Date.now()}-${idSequence++}`;
+
+// --- Undo / Redo History ---
+
+// Entries are { label, changes }: the before/after pairs of the records one change touched (see
+// diffWorkspaceRecords), so undoing it sets back only those records. Each tab keeps its own history in
+// sessionStorage, per backend; it is never saved with the workspace the tabs and the server share.
+
+const HISTORY_LIMIT = 100; // Changes kept for undo
+const HISTORY_KEY_PREFIX = 'vznx_undo_history_';
+const EMPTY_HISTORY = { past: [], future: [] };
+
+// The persisted collections of the app state, without view state or history
+const pickWorkspace = (state) => ({
+  projects: state.projects,
+  tasks: state.tasks,
+  teamMembers: state.teamMembers,
+  workflow: state.workflow,
+  savedViews: state.savedViews,
+  templates: state.templates,
+});
+
+// Push the records a change touched, with their positions so undoing a deletion puts the record back
+// where it was; any redo entries are discarded. A change that touched no records is not recorded.
+const recordHistory = (history, label, prev, next) => {
+  const changes = diffWorkspaceRecords(prev, next).map(change => (change.id === null ? change : {
+    ...change,
+    beforeIndex: prev[change.collection].findIndex(r => r.id === change.id),
+    afterIndex: next[change.collection].findIndex(r => r.id === change.id),
+  }));
+  if (changes.length === 0) return history;
+  return { past: [...history.past, { label, changes }].slice(-HISTORY_LIMIT), future: [] };
+};
+
+// Put a record back at `index` when it is missing, otherwise replace or remove it in place
+const restoreRecord = (records, id, record, index) => {
+  if (!record || index < 0 || records.some(r => r.id === id)) return replaceRecord(records, id, record);
+  return [...records.slice(0, index), record, ...records.slice(index)];
+};
+
+// Set the records of a history entry to their version before it (undo) or after it (redo)
+const applyHistoryEntry = (workspace, entry, isUndo) => entry.changes.reduce((current, change) => ({
+  ...current,
+  [change.collection]: change.id === null
+    ? (isUndo ? change.before : change.after)
+    : restoreRecord(
+      current[change.collection],
+      change.id,
+      isUndo ? change.before : change.after,
+      isUndo ? change.beforeIndex : change.afterIndex
+    ),
+}), workspace);
+
+// Flag the entries that touch records another tab has changed since; undoing or redoing them would
+// overwrite that tab's work
+const markChangedElsewhere = (history, changes) => {
+  if (changes.length === 0) return history;
+  const keys = new Set(changes.map(change => `${change.collection}:${change.id}`));
+  const mark = (entries) => entries.map(entry => (
+    entry.changes.some(change => keys.has(`${change.collection}:${change.id}`))
+      ? {
+        ...entry,
+        changes: entry.changes.map(change => (
+          keys.has(`${change.collection}:${change.id}`) ? { ...change, isChangedElsewhere: true } : change
+        )),
+      }
+      : entry
+  ));
+  return { past: mark(history.past), future: mark(history.future) };
+};
+
+// Keep the entries a restored history can still apply to `workspace`: past entries while their records
+// are as they left them, newest first, and redo entries while their records are as they found them.
+// Whatever someone else changed in the meantime ends the history there.
+const keepApplicableHistory = (history, workspace) => {
+  const matches = (current, entry, side) =>
+    entry.changes.every(change => isSameRecord(findSyncRecord(current, change.collection, change.id), change[side]));
+  const past = [];
+  let current = workspace;
+  for (const entry of [...history.past].reverse()) {
+    if (!matches(current, entry, 'after')) break;
+    past.unshift(entry);
+    current = applyHistoryEntry(current, entry, true);
+  }
+  const future = [];
+  current = workspace;
+  for (const entry of history.future) {
+    if (!matches(current, entry, 'before')) break;
+    future.push(entry);
+    current = applyHistoryEntry(current, entry, false);
+  }
+  return { past, future };
+};
+
+const getHistoryKey = (config) => `${HISTORY_KEY_PREFIX}${config.backend}_${config.baseUrl}`;
+
+const loadHistory = (config) => {
+  try {
+    const item = window.sessionStorage.getItem(getHistoryKey(config));
+    return item ? JSON.parse(item) : EMPTY_HISTORY;
+  } catch (error) {
+    console.error("Error reading undo history:", error);
+    return EMPTY_HISTORY;
+  }
+};
+
+// A full sessionStorage only costs this tab its undo history after a reload, never a save
+const saveHistory = (config, history) => {
+  try {
+    window.sessionStorage.setItem(getHistoryKey(config), JSON.stringify(history));
+  } catch (error) {
+    console.error("Error saving undo history:", error);
+  }
+};
+
+// --- Activity Log ---
+
+// Append-only record of every change to projects, tasks and members. It sits outside the undo
+// history: undoing a change adds an entry rather than removing the original one. Nothing is ever
+// dropped, as the log is the audit trail and the throughput report counts completions from it.
+
+// Add entries to the log; no entries keeps the array as is
+const appendActivity = (activity, entries) => (entries.length ? [...activity, ...entries] : activity);
+
+const ACTIVITY_ENTITIES = [
+  { collection: 'projects', type: 'project' },
+  { collection: 'tasks', type: 'task' },
+  { collection: 'teamMembers', type: 'member' },
+];
+
+// Fields that differ between two versions of a record, as { before, after } value maps
+const diffRecord = (before, after) => {
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+  return {
+    before: Object.fromEntries(keys.map(key => [key, before[key] ?? null])),
+    after: Object.fromEntries(keys.map(key => [key, after[key] ?? null])),
+  };
+};
+
+// One activity entry per project, task or member that `action` added, removed or changed.
+// `actor` is the member who acted: { id, name }; the name is kept so the log still reads after they leave.
+const buildActivityEntries = (prev, next, action, actor) => {
+  const timestamp = new Date().toISOString();
+  const entries = [];
+
+  ACTIVITY_ENTITIES.forEach(({ collection, type }) => {
+    if (prev[collection] === next[collection]) return;
+    const prevById = new Map(prev[collection].map(record => [record.id, record]));
+    const nextById = new Map(next[collection].map(record => [record.id, record]));
+
+    [...new Set([...prevById.keys(), ...nextById.keys()])].forEach(id => {
+      const before = prevById.get(id) || null;
+      const after = nextById.get(id) || null;
+      if (before === after) return;
+      const changes = before && after ? diffRecord(before, after) : { before, after };
+      if (before && after && Object.keys(changes.after).length === 0) return;
+
+      const record = after || before;
+      entries.push({
+        id: createId('a'),
+        timestamp,
+        actor: actor.name,
+        actorId: actor.id,
+        action,
+        entityType: type,
+        entityId: id,
+        entityName: record.name,
+        // Context for the per-project and per-member feeds
+        projectId: type === 'project' ? id : record.projectId || null,
+        memberIds: type === 'member'
+          ? [id]
+          : [...new Set([before?.assignedToMemberId, after?.assignedToMemberId].filter(Boolean))],
+        ...changes,
+      });
+    });
+  });
+  return entries;
+};
+
+const getProjectActivity = (activity, projectId) => activity.filter(entry => entry.projectId === projectId);
+const getMemberActivity = (activity, memberId) => activity.filter(entry => entry.memberIds.includes(memberId));
+
+// --- Reporting ---
+
+// One snapshot per day of each project's progress and task counts and each member's load.
+// Like the activity log, snapshots sit outside the undo history; today's is rewritten as work changes.
+
+const SNAPSHOT_LIMIT = 365; // Days of snapshots kept
+const REPORT_DAYS = 30;     // Days covered by the burndown and utilization charts
+const REPORT_WEEKS = 8;     // Weeks covered by the throughput chart
+
+// Member load is measured in open tasks for the week containing `date`, as in TeamOverview
+const buildDailySnapshot = ({ projects, tasks, teamMembers, workflow }, date) => ({
+  date,
+  projects: projects.map(project => {
+    const projectTasks = tasks.filter(t => t.projectId === project.id);
+    const openTasks = projectTasks.filter(t => !isTaskDone(t, workflow));
+    return {
+      projectId: project.id,
+      progress: project.progress,
+      totalTasks: projectTasks.length,
+      openTasks: openTasks.length,
+      openEffort: sumEffort(openTasks),
+    };
+  }),
+  members: teamMembers.map(member => {
+    const [week] = buildCapacityForecast(member, tasks, [startOfWeek(date)], false);
+    return {
+      memberId: member.id,
+      load: week.load,
+      capacity: week.capacity,
+      capacityPct: getLoadDisplay(week.load, week.capacity).capacityPct,
+    };
+  }),
+});
+
+// Replace the snapshot for the same day or append a new one; unchanged snapshots keep the array as is
+const recordSnapshot = (snapshots, snapshot) => {
+  const last = snapshots[snapshots.length - 1];
+  if (last && last.date === snapshot.date) {
+    if (JSON.stringify(last) === JSON.stringify(snapshot)) return snapshots;
+    return [...snapshots.slice(0, -1), snapshot];
+  }
+  return [...snapshots, snapshot].slice(-SNAPSHOT_LIMIT);
+};
+
+// Open work per day for one project: [{ date, openTasks, openEffort, totalTasks, progress }]
+const getBurndown = (snapshots, projectId, days = REPORT_DAYS) => snapshots.slice(-days).flatMap(snapshot => {
+  const entry = snapshot.projects.find(p => p.projectId === projectId);
+  return entry ? [{ date: snapshot.date, ...entry }] : [];
+});
+
+// Load against capacity per day for one member: [{ date, load, capacity, capacityPct }]
+const getUtilizationHistory = (snapshots, memberId, days = REPORT_DAYS) => snapshots.slice(-days).flatMap(snapshot => {
+  const entry = snapshot.members.find(m => m.memberId === memberId);
+  return entry ? [{ date: snapshot.date, ...entry }] : [];
+});
+
+// Tasks completed per week, net of tasks reopened, counted from the activity log: [{ weekStart, completed }]
+const getWeeklyThroughput = (activity, weeks = REPORT_WEEKS, today = toDateKey(new Date())) => {
+  const weekStarts = Array.from({ length: weeks }, (_, index) => addDays(startOfWeek(today), (index - weeks + 1) * 7));
+  const counts = Object.fromEntries(weekStarts.map(weekStart => [weekStart, 0]));
+
+  activity.forEach(entry => {
+    if (entry.entityType !== 'task' || !entry.before || !entry.after || !('isComplete' in entry.after)) return;
+    const weekStart = startOfWeek(toDateKey(entry.timestamp));
+    if (weekStart in counts) counts[weekStart] += entry.after.isComplete ? 1 : -1;
+  });
+  return weekStarts.map(weekStart => ({ weekStart, completed: Math.max(0, counts[weekStart]) }));
+};
+
+// --- Notifications ---
+
+// Events for the notification center. They are kept per browser, like the current user, rather than
+// in the shared workspace: each person reads and clears their own. Task changes are addressed to the
+// task's assignees and skip whoever made the change; the other events go to everyone.
+
+const NOTIFICATION_TYPES = {
+  CAPACITY: 'capacity',                // A member's forecast goes over capacity
+  TASK_CHANGE: 'taskChange',           // Someone else changed a task assigned to you
+  PROJECT_COMPLETE: 'projectComplete', // A project reaches 100%
+  OVERDUE: 'overdue',                  // Daily reminder for each overdue task assigned to you
+};
+
+const NOTIFICATION_TYPE_LABELS = {
+  [NOTIFICATION_TYPES.CAPACITY]: 'Team member over capacity',
+  [NOTIFICATION_TYPES.TASK_CHANGE]: 'Changes to my tasks',
+  [NOTIFICATION_TYPES.PROJECT_COMPLETE]: 'Project completed',
+  [NOTIFICATION_TYPES.OVERDUE]: 'Overdue task reminders',
+};
+
+const NOTIFICATIONS_KEY = 'vznx_notifications';
+const NOTIFICATION_PREFS_KEY = 'vznx_notification_prefs';
+const NOTIFICATION_LIMIT = 100; // Oldest notifications are dropped beyond this
+const SEEN_NOTIFICATIONS_KEY = 'vznx_notification_keys';
+const SEEN_NOTIFICATION_LIMIT = 2000; // Keys of raised events remembered after their notification is cleared or dropped
+
+// Every event type is on by default; browser notifications need the user's permission first
+const DEFAULT_NOTIFICATION_PREFS = {
+  ...Object.fromEntries(Object.values(NOTIFICATION_TYPES).map(type => [type, true])),
+  browser: false,
+};
+
+const loadNotifications = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(NOTIFICATIONS_KEY) || '[]');
+  } catch (error) {
+    console.error("Error reading notifications:", error);
+    return [];
+  }
+};
+
+const saveNotifications = (notifications) => {
+  window.localStorage.setItem(NOTIFICATIONS_KEY, JSON.stringify(notifications));
+};
+
+const loadSeenNotificationKeys = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(SEEN_NOTIFICATIONS_KEY) || '[]');
+  } catch (error) {
+    console.error("Error reading seen notifications:", error);
+    return [];
+  }
+};
+
+const saveSeenNotificationKeys = (keys) => {
+  window.localStorage.setItem(SEEN_NOTIFICATIONS_KEY, JSON.stringify(keys.slice(-SEEN_NOTIFICATION_LIMIT)));
+};
+
+const loadNotificationPrefs = () => {
+  try {
+    return { ...DEFAULT_NOTIFICATION_PREFS, ...JSON.parse(window.localStorage.getItem(NOTIFICATION_PREFS_KEY) || '{}') };
+  } catch (error) {
+    console.error("Error reading notification settings:", error);
+    return DEFAULT_NOTIFICATION_PREFS;
+  }
+};
+
+const saveNotificationPrefs = (prefs) => {
+  window.localStorage.setItem(NOTIFICATION_PREFS_KEY, JSON.stringify(prefs));
+};
+
+// `key` identifies the event, so the same event is never raised twice (e.g. by two open tabs)
+const createNotification = (type, key, fields) => ({
+  id: createId('n'),
+  type,
+  key,
+  createdAt: new Date().toISOString(),
+  isRead: false,
+  recipientIds: null, // null reaches everyone
+  ...fields,
+});
+
+const isNotificationFor = (notification, userId) =>
+  !notification.recipientIds || notification.recipientIds.includes(userId);
+
+// First week in the capacity forecast where open tasks exceed capacity, or null
+const findOverbookedWeek = (member, tasks, weekStarts) =>
+  buildCapacityForecast(member, tasks, weekStarts, false).find(week => week.load > week.capacity) || null;
+
+// Notifications for what changed between two versions of the workspace.
+// `newActivity` holds the activity entries recorded since `prev`, locally or in another tab.
+const detectNotifications = (prev, next, newActivity, today = toDateKey(new Date())) => {
+  const notifications = [];
+  const weekStarts = getWeekStarts(CAPACITY_WEEKS, today);
+
+  if (prev.tasks !== next.tasks || prev.teamMembers !== next.teamMembers) {
+    next.teamMembers.forEach(member => {
+      const week = findOverbookedWeek(member, next.tasks, weekStarts);
+      const before = prev.teamMembers.find(m => m.id === member.id);
+      if (!week || (before && findOverbookedWeek(before, prev.tasks, weekStarts))) return;
+      notifications.push(createNotification(NOTIFICATION_TYPES.CAPACITY, `capacity:${member.id}:${week.weekStart}`, {
+        title: `${member.name} is over capacity`,
+        message: `${week.load} open task${week.load === 1 ? '' : 's'} against a capacity of ${week.capacity} in the week of ${formatWeekLabel(week.weekStart)}.`,
+        path: memberPath(member.id),
+      }));
+    });
+  }
+
+  next.projects.forEach(project => {
+    const before = prev.projects.find(p => p.id === project.id);
+    if (project.progress !== 100 || !before || before.progress === 100) return;
+    notifications.push(createNotification(NOTIFICATION_TYPES.PROJECT_COMPLETE, `project:${project.id}:${today}`, {
+      title: `${project.name} is complete`,
+      message: 'All of its work is done and progress has reached 100%.',
+      path: projectTasksPath(project.id),
+    }));
+  });
+
+  newActivity.filter(entry => entry.entityType === 'task').forEach(entry => {
+    // Entries logged before actor ids were recorded only have the actor's name
+    const recipientIds = entry.memberIds.filter(id => {
+      const member = next.teamMembers.find(m => m.id === id);
+      return member && (entry.actorId ? member.id !== entry.actorId : member.name !== entry.actor);
+    });
+    if (recipientIds.length === 0) return;
+    notifications.push(createNotification(NOTIFICATION_TYPES.TASK_CHANGE, `activity:${entry.id}`, {
+      title: `${entry.entityName} was changed`,
+      message: `${entry.actor}: ${entry.action}`,
+      path: entry.projectId ? projectTasksPath(entry.projectId) : null,
+      recipientIds,
+    }));
+  });
+
+  return notifications;
+};
+
+// One reminder per overdue, assigned task per day
+const buildOverdueReminders = (tasks, projects, today = toDateKey(new Date())) =>
+  tasks
+    .filter(task => task.assignedToMemberId && getTaskScheduleStatus(task, today) === SCHEDULE_STATUS.OVERDUE)
+    .map(task => {
+      const project = projects.find(p => p.id === task.projectId);
+      const daysLate = daysBetween(task.dueDate, today);
+      return createNotification(NOTIFICATION_TYPES.OVERDUE, `overdue:${task.id}:${today}`, {
+        title: `${task.name} is overdue`,
+        message: `Due ${daysLate} day${daysLate === 1 ? '' : 's'} ago${project ? ` in ${project.name}` : ''}.`,
+        path: projectTasksPath(task.projectId),
+        recipientIds: [task.assignedToMemberId],
+      });
+    });
+
+const isBrowserNotificationSupported = () => 'Notification' in window;
+
+// Mirror a notification as a system notification while the workspace is in the background.
+// The tag collapses the copies raised by several open tabs into one.
+const showBrowserNotification = (notification) => {
+  if (!isBrowserNotificationSupported() || window.Notification.permission !== 'granted') return;
+  if (document.visibilityState === 'visible') return;
+  try {
+    new window.Notification(notification.title, { body: notification.message, tag: notification.key });
+  } catch (error) {
+    console.error("Error showing browser notification:", error);
+  }
+};
+
+// --- Schema Versioning & Migrations ---
+
+// Saves are wrapped in an envelope: { schemaVersion, savedAt, data: { projects, tasks, teamMembers, workflow, savedViews, templates, activity, snapshots } }.
+// Anything without a numeric schemaVersion is the original unversioned blob (version 0).
+
+const getInitialWorkspace = () => ({
+  projects: INITIAL_PROJECTS,
+  tasks: INITIAL_TASKS,
+  teamMembers: INITIAL_TEAM,
+  workflow: DEFAULT_WORKFLOW,
+  savedViews: [],
+  templates: INITIAL_TEMPLATES,
+  activity: [],
+  snapshots: [],
+});
+
+// Ordered list of migrations; each one upgrades data from `version - 1` to `version`
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Fill collections missing from unversioned saves and give every member a capacity',
+    migrate: (data) => ({
+      projects: Array.isArray(data.projects) ? data.projects : INITIAL_PROJECTS,
+      tasks: Array.isArray(data.tasks) ? data.tasks : INITIAL_TASKS,
+      teamMembers: (Array.isArray(data.teamMembers) ? data.teamMembers : INITIAL_TEAM).map(member => ({
+        ...member,
+        maxCapacity: member.maxCapacity > 0 ? member.maxCapacity : 5,
+      })),
+    }),
+  },
+  {
+    version: 2,
+    description: 'Add schedule dates, effort estimates and progress tracking fields',
+    migrate: (data) => ({
+      ...data,
+      projects: data.projects.map(project => ({
+        startDate: null,
+        dueDate: null,
+        progressMode: PROGRESS_MODES.COUNT,
+        isManualProgress: false,
+        ...project,
+      })),
+      tasks: data.tasks.map(task => ({
+        assignedToMemberId: null,
+        startDate: null,
+        dueDate: null,
+        estimate: null,
+        ...task,
+      })),
+      teamMembers: data.teamMembers.map(member => ({
+        maxEffort: null,
+        ...member,
+      })),
+    }),
+  },
+  {
+    version: 3,
+    description: 'Start an empty undo/redo history',
+    migrate: (data) => ({
+      ...data,
+      history: EMPTY_HISTORY,
+    }),
+  },
+  {
+    version: 4,
+    description: 'Give every member a full-time weekly availability',
+    migrate: (data) => ({
+      ...data,
+      teamMembers: data.teamMembers.map(member => ({
+        availability: DEFAULT_AVAILABILITY,
+        ...member,
+      })),
+    }),
+  },
+  {
+    version: 5,
+    description: 'Add task dependencies',
+    migrate: (data) => ({
+      ...data,
+      tasks: data.tasks.map(task => ({
+        dependsOn: [],
+        ...task,
+      })),
+    }),
+  },
+  {
+    version: 6,
+    description: 'Add workflow columns and place every task in one by its completion',
+    migrate: (data) => ({
+      ...data,
+      workflow: DEFAULT_WORKFLOW,
+      tasks: syncTaskStatuses(data.tasks, DEFAULT_WORKFLOW),
+    }),
+  },
+  {
+    version: 7,
+    description: 'Start an empty list of saved views',
+    migrate: (data) => ({
+      ...data,
+      savedViews: [],
+    }),
+  },
+  {
+    version: 8,
+    description: 'Start an empty activity log',
+    migrate: (data) => ({
+      ...data,
+      activity: [],
+    }),
+  },
+  {
+    version: 9,
+    description: 'Give every member a role; the first member administers the workspace',
+    migrate: (data) => ({
+      ...data,
+      teamMembers: data.teamMembers.map((member, index) => ({
+        role: index === 0 ? ROLES.ADMIN : ROLES.MEMBER,
+        ...member,
+      })),
+    }),
+  },
+  {
+    version: 10,
+    description: 'Start an empty list of daily progress snapshots',
+    migrate: (data) => ({
+      ...data,
+      snapshots: [],
+    }),
+  },
+  {
+    version: 11,
+    description: 'Add project templates, starting with the built-in ones',
+    migrate: (data) => ({
+      ...data,
+      templates: INITIAL_TEMPLATES,
+    }),
+  },
+  {
+    version: 12,
+    description: 'Add checklists and comments to tasks',
+    migrate: (data) => ({
+      ...data,
+      tasks: data.tasks.map(task => ({
+        checklist: [],
+        comments: [],
+        ...task,
+      })),
+    }),
+  },
+  {
+    version: 13,
+    description: 'Drop the shared undo history; every tab now keeps its own',
+    migrate: (data) => {
+      const workspace = { ...data };
+      delete workspace.history;
+      return workspace;
+    },
+  },
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Thrown when stored data cannot be brought up to the current schema
+class WorkspaceSchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WorkspaceSchemaError';
+  }
+}
+
+// Split a parsed save into its version and payload
+const readEnvelope = (stored) => {
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+    throw new WorkspaceSchemaError('Saved workspace is not an object');
+  }
+  if (typeof stored.schemaVersion === 'number') {
+    return { version: stored.schemaVersion, data: stored.data || {} };
+  }
+  return { version: 0, data: stored };
+};
+
+// Run every migration newer than the stored version, in order
+const migrateWorkspace = (stored) => {
+  const { version, data } = readEnvelope(stored);
+  if (version > SCHEMA_VERSION) {
+    throw new WorkspaceSchemaError(`Saved workspace uses schema v${version}, newer than supported v${SCHEMA_VERSION}`);
+  }
+
+  const migrated = {
+    // JSON exports leave out the activity log and snapshots, so a current-version file may lack them
+    activity: [],
+    snapshots: [],
+    ...MIGRATIONS
+      .filter(migration => migration.version > version)
+      .reduce((current, migration) => migration.migrate(current), data),
+  };
+
+  ['projects', 'tasks', 'teamMembers', 'workflow', 'savedViews', 'templates', 'activity', 'snapshots'].forEach(collection => {
+    if (!Array.isArray(migrated[collection])) {
+      throw new WorkspaceSchemaError(`Saved workspace is missing its ${collection} list`);
+    }
+  });
+  return migrated;
+};
+
+// --- Storage Adapters ---
+
+// Every adapter stores the serialized workspace envelope and exposes the same async interface:
+//   read()            -> the serialized envelope, or null when nothing has been saved yet
+//   write(serialized) -> persist the serialized envelope
+//   backup(raw)       -> keep unreadable data aside and return an id for it
+
+const STORAGE_BACKENDS = {
+  LOCAL: 'localStorage',
+  INDEXED_DB: 'indexedDB',
+  HTTP: 'http',
+};
+
+const STORAGE_BACKEND_LABELS = {
+  [STORAGE_BACKENDS.LOCAL]: 'This browser (localStorage)',
+  [STORAGE_BACKENDS.INDEXED_DB]: 'This browser (IndexedDB)',
+  [STORAGE_BACKENDS.HTTP]: 'Shared server (REST)',
+};
+
+const STORAGE_CONFIG_KEY = 'vznx_storage_config'; // Which backend this browser uses always lives in localStorage
+const DEFAULT_STORAGE_CONFIG = { backend: STORAGE_BACKENDS.LOCAL, baseUrl: '' };
+
+const BACKUP_KEY_PREFIX = `${LOCAL_STORAGE_KEY}_backup_`;
+
+// Thrown when a backend cannot be reached or rejects a request
+class StorageBackendError extends Error {
+  constructor(message, { isUnreachable = false } = {}) {
+    super(message);
+    this.name = 'StorageBackendError';
+    this.isUnreachable = isUnreachable; // Network failure rather than a rejected request
+  }
+}
+
+const createLocalStorageAdapter = () => ({
+  read: async () => window.localStorage.getItem(LOCAL_STORAGE_KEY),
+  write: async (serialized) => {
+    window.localStorage.setItem(LOCAL_STORAGE_KEY, serialized);
+  },
+  backup: async (raw) => {
+    const backupKey = `${BACKUP_KEY_PREFIX}${Date.now()}`;
+    window.localStorage.setItem(backupKey, raw);
+    return backupKey;
+  },
+});
+
+const INDEXED_DB_NAME = 'vznx_workspace';
+const INDEXED_DB_STORE = 'workspace';
+
+// Run a single request against the workspace object store and resolve once its transaction completes
+const runIndexedDbRequest = (mode, makeRequest) => new Promise((resolve, reject) => {
+  if (!window.indexedDB) {
+    reject(new StorageBackendError('IndexedDB is not available in this browser'));
+    return;
+  }
+  const openRequest = window.indexedDB.open(INDEXED_DB_NAME, 1);
+  openRequest.onupgradeneeded = () => openRequest.result.createObjectStore(INDEXED_DB_STORE);
+  openRequest.onerror = () => reject(new StorageBackendError(`Could not open IndexedDB: ${openRequest.error}`));
+  openRequest.onsuccess = () => {
+    const db = openRequest.result;
+    const transaction = db.transaction(INDEXED_DB_STORE, mode);
+    const request = makeRequest(transaction.objectStore(INDEXED_DB_STORE));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(new StorageBackendError(`IndexedDB request failed: ${transaction.error}`));
+    };
+  };
+});
+
+const createIndexedDbAdapter = () => ({
+  read: async () => (await runIndexedDbRequest('readonly', store => store.get(LOCAL_STORAGE_KEY))) ?? null,
+  write: async (serialized) => {
+    await runIndexedDbRequest('readwrite', store => store.put(serialized, LOCAL_STORAGE_KEY));
+  },
+  backup: async (raw) => {
+    const backupKey = `${BACKUP_KEY_PREFIX}${Date.now()}`;
+    await runIndexedDbRequest('readwrite', store => store.put(raw, backupKey));
+    return backupKey;
+  },
+});
+
+// REST contract expected from the shared server:
+//   GET  {baseUrl}/workspace          -> 200 with the envelope as JSON, or 404 when empty
+//   PUT  {baseUrl}/workspace          -> stores the JSON envelope sent as the request body
+//   POST {baseUrl}/workspace/backups  -> stores { reason, raw } and responds with { id }
+// `fetchImpl` can be swapped out to point the adapter at a mock server.
+const createHttpAdapter = ({ baseUrl, fetchImpl = (...args) => window.fetch(...args) }) => {
+  const url = (path) => `${baseUrl.replace(/\/+$/, '')}${path}`;
+
+  const request = async (path, options) => {
+    let response;
+    try {
+      response = await fetchImpl(url(path), options);
+    } catch (error) {
+      throw new StorageBackendError(`Could not reach ${url(path)}: ${error.message}`, { isUnreachable: true });
+    }
+    if (!response.ok && response.status !== 404) {
+      throw new StorageBackendError(`${options?.method || 'GET'} ${url(path)} failed with status ${response.status}`);
+    }
+    return response;
+  };
+
+  return {
+    read: async () => {
+      const response = await request('/workspace');
+      return response.status === 404 ? null : response.text();
+    },
+    write: async (serialized) => {
+      await request('/workspace', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: serialized,
+      });
+    },
+    backup: async (raw, reason) => {
+      const response = await request('/workspace/backups', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reason, raw }),
+      });
+      const { id } = await response.json();
+      return id;
+    },
+  };
+};
+
+const createStorageAdapter = (config) => {
+  switch (config.backend) {
+    case STORAGE_BACKENDS.INDEXED_DB:
+      return createIndexedDbAdapter();
+    case STORAGE_BACKENDS.HTTP:
+      return createOfflineAdapter(createHttpAdapter({ baseUrl: config.baseUrl }), `${OUTBOX_KEY_PREFIX}${config.baseUrl}`);
+    case STORAGE_BACKENDS.LOCAL:
+    default:
+      return createLocalStorageAdapter();
+  }
+};
+
+const loadStorageConfig = () => {
+  try {
+    const item = window.localStorage.getItem(STORAGE_CONFIG_KEY);
+    return item ? { ...DEFAULT_STORAGE_CONFIG, ...JSON.parse(item) } : DEFAULT_STORAGE_CONFIG;
+  } catch (error) {
+    console.error("Error reading storage settings:", error);
+    return DEFAULT_STORAGE_CONFIG;
+  }
+};
+
+const saveStorageConfig = (config) => {
+  window.localStorage.setItem(STORAGE_CONFIG_KEY, JSON.stringify(config));
+};
+
+// --- Offline Support ---
+
+// Network backends are wrapped so the app keeps working offline. Each server URL has an outbox in
+// IndexedDB, which holds far more than localStorage: a copy of the newest envelope, to open the app
+// from while offline, and the writes made while the server was unreachable. Queued writes are merged
+// record by record into whatever the server holds once it is back (see mergeWorkspaces), so changes
+// others saved in the meantime are kept; records both sides changed keep the server version and are
+// reported as conflicts.
+
+const OUTBOX_KEY_PREFIX = 'vznx_outbox_'; // One outbox per server URL
+const OUTBOX_SYNC_TAG = 'vznx-outbox';    // Background Sync tag; service-worker.js uses the same one
+const EMPTY_OUTBOX = { copy: null, base: null, pending: [] };
+
+const isBrowserOffline = () => window.navigator.onLine === false;
+
+const writeOutbox = (key, outbox) => runIndexedDbRequest('readwrite', store => store.put(outbox, key));
+
+// { copy, base, pending: [{ id, queuedAt }] }: `base` is the server envelope the pending writes started from.
+// Anything else stored under the key is treated as an empty outbox.
+const readOutbox = async (key) => {
+  const outbox = await runIndexedDbRequest('readonly', store => store.get(key));
+  return outbox && Array.isArray(outbox.pending) ? { ...EMPTY_OUTBOX, ...outbox } : EMPTY_OUTBOX;
+};
+
+// Envelopes differ in savedAt on every write, so compare only the workspace they carry
+const isSameEnvelopeData = (serialized, other) => {
+  if (other === null) return false;
+  try {
+    return JSON.stringify(JSON.parse(serialized).data) === JSON.stringify(JSON.parse(other).data);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Have the service worker wake the app for a replay when connectivity returns, where Background Sync exists
+const requestBackgroundSync = () => {
+  if (!('serviceWorker' in window.navigator)) return;
+  window.navigator.serviceWorker.ready
+    .then(registration => registration.sync && registration.sync.register(OUTBOX_SYNC_TAG))
+    .catch(error => console.error("Error requesting background sync:", error));
+};
+
+// Adds two methods to the adapter interface:
+//   countPending() -> resolves to the number of writes waiting for the server
+//   flush()        -> merge the queued writes into the server copy and send the result. Resolves to null
+//                     when nothing was queued, otherwise to { workspace, conflicts }: what the server
+//                     now holds, and the records someone else changed too, which keep their version.
+const createOfflineAdapter = (inner, outboxKey) => {
+  // The outbox only adds offline support: when it cannot be read the adapter talks to the server directly
+  const readOutboxOrEmpty = () => readOutbox(outboxKey).catch(error => {
+    console.error("Error reading offline outbox:", error);
+    return EMPTY_OUTBOX;
+  });
+
+  // Refreshing the offline copy never fails a read or write that reached the server
+  const keepCopy = (serialized) => writeOutbox(outboxKey, { ...EMPTY_OUTBOX, copy: serialized })
+    .catch(error => console.error("Error keeping the offline copy:", error));
+
+  const queue = async (serialized) => {
+    const outbox = await readOutboxOrEmpty();
+    if (isSameEnvelopeData(serialized, outbox.copy)) return; // Nothing new to send
+    await writeOutbox(outboxKey, {
+      copy: serialized,
+      base: outbox.pending.length > 0 ? outbox.base : outbox.copy, // The copy is what the server last held
+      pending: [...outbox.pending, { id: createId('q'), queuedAt: new Date().toISOString() }],
+    });
+    requestBackgroundSync();
+  };
+
+  return {
+    read: async () => {
+      const outbox = await readOutboxOrEmpty();
+      // Unsent changes are newer than anything on the server
+      if (outbox.pending.length > 0 || (isBrowserOffline() && outbox.copy !== null)) return outbox.copy;
+      try {
+        const serialized = await inner.read();
+        await keepCopy(serialized);
+        return serialized;
+      } catch (error) {
+        if (!error.isUnreachable || outbox.copy === null) throw error;
+        console.warn(`${error.message}; working from the offline copy.`);
+        return outbox.copy;
+      }
+    },
+    // While writes are queued new ones queue behind them, so they reach the server through flush()'s merge
+    write: async (serialized) => {
+      const outbox = await readOutboxOrEmpty();
+      if (isBrowserOffline() || outbox.pending.length > 0) {
+        await queue(serialized);
+        return;
+      }
+      try {
+        await inner.write(serialized);
+      } catch (error) {
+        if (!error.isUnreachable) throw error;
+        await queue(serialized);
+        return;
+      }
+      await keepCopy(serialized);
+    },
+    backup: (raw, reason) => inner.backup(raw, reason),
+    countPending: async () => (await readOutboxOrEmpty()).pending.length,
+    flush: async () => {
+      const outbox = await readOutboxOrEmpty();
+      if (outbox.pending.length === 0) return null;
+      const serverRaw = await inner.read();
+      const local = migrateWorkspace(JSON.parse(outbox.copy));
+      const server = serverRaw ? migrateWorkspace(JSON.parse(serverRaw)) : null;
+      // Writes queued before the server was ever read have no base; they replace the server copy
+      const { merged, conflicts } = server && outbox.base
+        ? mergeWorkspaces(server, migrateWorkspace(JSON.parse(outbox.base)), local)
+        : { merged: local, conflicts: [] };
+      const serialized = serializeWorkspace(merged);
+      await inner.write(serialized);
+
+      // Writes queued while this one was in flight stay for the next flush, based on the copy just sent
+      const latest = await readOutboxOrEmpty();
+      const remaining = latest.pending.slice(outbox.pending.length);
+      await writeOutbox(outboxKey, remaining.length > 0
+        ? { copy: latest.copy, base: outbox.copy, pending: remaining }
+        : { ...EMPTY_OUTBOX, copy: serialized });
+      return { workspace: merged, conflicts };
+    },
+  };
+};
+
+// Register the service worker that caches the app shell (see service-worker.js) and link the web app
+// manifest, so the workspace opens without a connection and can be installed
+const registerServiceWorker = () => {
+  if (!('serviceWorker' in window.navigator)) return;
+  if (!document.querySelector('link[rel="manifest"]')) {
+    const link = document.createElement('link');
+    link.rel = 'manifest';
+    link.href = '/manifest.webmanifest';
+    document.head.appendChild(link);
+  }
+  window.navigator.serviceWorker.register('/service-worker.js')
+    .catch(error => console.error("Error registering service worker:", error));
+};
+
+// --- Persistence Utilities ---
+
+// Load and migrate the saved workspace from an adapter; resolves to null when the backend is empty.
+// Rejects when the backend fails or holds data this version cannot read (corrupt, or from a newer
+// schema). Unreadable data is also copied aside, and the error carries the copy's `backupKey`.
+// Callers must not save after a rejection, so nothing they could not read is overwritten.
+const loadWorkspace = async (adapter) => {
+  const raw = await adapter.read();
+  if (!raw) return null;
+
+  try {
+    return migrateWorkspace(JSON.parse(raw));
+  } catch (error) {
+    const unreadable = error instanceof WorkspaceSchemaError
+      ? error
+      : new WorkspaceSchemaError(`Saved workspace is not valid JSON (${error.message})`);
+    unreadable.backupKey = await adapter.backup(raw, unreadable.message);
+    throw unreadable;
+  }
+};
+
+const serializeWorkspace = (workspace) => JSON.stringify({
+  schemaVersion: SCHEMA_VERSION,
+  savedAt: new Date().toISOString(),
+  data: workspace,
+});
+
+const saveWorkspace = (adapter, workspace) => adapter.write(serializeWorkspace(workspace));
+
+// --- Cross-Tab Sync ---
+
+// Open tabs share each change as per-record before/after pairs. A receiving tab applies a change only
+// while its own copy still matches `before`; when both tabs changed the same record differently it
+// keeps its own copy and reports a conflict instead of silently dropping either version.
+
+const SYNC_CHANNEL_NAME = 'vznx_workspace_sync';
+const SYNC_STORAGE_KEY = 'vznx_workspace_sync_message'; // Carries messages through storage events where BroadcastChannel is missing
+const SYNC_RECORD_COLLECTIONS = ['projects', 'tasks', 'teamMembers', 'savedViews', 'templates'];
+const SYNC_SETTING_COLLECTIONS = ['workflow']; // Column order matters, so the workflow is shared as a whole
+
+const SYNC_LABELS = {
+  projects: 'Project',
+  tasks: 'Task',
+  teamMembers: 'Team member',
+  savedViews: 'Saved view',
+  templates: 'Template',
+  workflow: 'Workflow columns',
+};
+
+const isSameRecord = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Put `record` in place of the one with `id`: null removes it and an unknown id is appended
+const replaceRecord = (records, id, record) => {
+  if (!records.some(r => r.id === id)) return record ? [...records, record] : records;
+  return record ? records.map(r => (r.id === id ? record : r)) : records.filter(r => r.id !== id);
+};
+
+const findSyncRecord = (workspace, collection, id) =>
+  (id === null ? workspace[collection] : workspace[collection].find(r => r.id === id) || null);
+
+// Changes from one workspace to the next: [{ collection, id, before, after }].
+// Settings collections change as a whole and use a null id.
+const diffWorkspaceRecords = (prev, next) => {
+  const changes = [];
+  SYNC_RECORD_COLLECTIONS.forEach(collection => {
+    if (prev[collection] === next[collection]) return;
+    const prevById = new Map(prev[collection].map(record => [record.id, record]));
+    const nextById = new Map(next[collection].map(record => [record.id, record]));
+    [...new Set([...prevById.keys(), ...nextById.keys()])].forEach(id => {
+      const before = prevById.get(id) || null;
+      const after = nextById.get(id) || null;
+      if (!isSameRecord(before, after)) changes.push({ collection, id, before, after });
+    });
+  });
+  SYNC_SETTING_COLLECTIONS.forEach(collection => {
+    if (!isSameRecord(prev[collection], next[collection])) {
+      changes.push({ collection, id: null, before: prev[collection], after: next[collection] });
+    }
+  });
+  return changes;
+};
+
+// Apply another tab's changes to `local`. Returns { workspace, conflicts, applied }: conflicts as
+// [{ collection, id, local, remote }] for records both tabs changed, and the changes that took effect.
+const mergeRemoteChanges = (local, changes) => {
+  const conflicts = [];
+  const applied = [];
+  const workspace = changes.reduce((current, change) => {
+    const localRecord = findSyncRecord(current, change.collection, change.id);
+    if (isSameRecord(localRecord, change.after)) return current;
+    if (!isSameRecord(localRecord, change.before)) {
+      conflicts.push({ collection: change.collection, id: change.id, local: localRecord, remote: change.after });
+      return current;
+    }
+    applied.push(change);
+    return {
+      ...current,
+      [change.collection]: change.id === null ? change.after : replaceRecord(current[change.collection], change.id, change.after),
+    };
+  }, local);
+  return { workspace, conflicts, applied };
+};
+
+// 'Task "Site Survey"', or just the label for settings such as the workflow columns
+const describeSyncRecord = (collection, record) =>
+  (record && !Array.isArray(record) ? `${SYNC_LABELS[collection]} "${record.name}"` : SYNC_LABELS[collection]);
+
+// Copy the records touched by `changes` from `source` into `target`
+const copyChangedRecords = (target, source, changes) => changes.reduce((current, change) => ({
+  ...current,
+  [change.collection]: change.id === null
+    ? source[change.collection]
+    : replaceRecord(current[change.collection], change.id, findSyncRecord(source, change.collection, change.id)),
+}), target);
+
+// Saves merge the same way, so two tabs (or two browsers sharing a server) never write their whole
+// workspace over each other: only the records this client changed since `base`, the workspace as it
+// last loaded or saved it, are applied to the `stored` copy. Records in `skippedKeys` (unresolved
+// conflicts) wait until they are resolved. Returns { merged, saved, conflicts }: the workspace to store,
+// the next base, and the records someone else saved a different version of, which keep the stored version.
+const mergeWorkspaces = (stored, base, local, skippedKeys = new Set()) => {
+  const keyOf = (change) => `${change.collection}:${change.id}`;
+  const changes = diffWorkspaceRecords(base, local).filter(change => !skippedKeys.has(keyOf(change)));
+  const { workspace, conflicts } = mergeRemoteChanges(pickWorkspace(stored), changes);
+  // Merging appends records it puts back; keep them where this client has them, e.g. after undoing a deletion
+  const ordered = SYNC_RECORD_COLLECTIONS.reduce((current, collection) => {
+    const localIndex = new Map(local[collection].map((record, index) => [record.id, index]));
+    const rank = (record) => (localIndex.has(record.id) ? localIndex.get(record.id) : Infinity);
+    return { ...current, [collection]: [...current[collection]].sort((a, b) => rank(a) - rank(b)) };
+  }, workspace);
+  const baseActivityIds = new Set(base.activity.map(entry => entry.id));
+  const storedActivityIds = new Set(stored.activity.map(entry => entry.id));
+  const localDates = new Set(local.snapshots.map(snapshot => snapshot.date));
+  const merged = {
+    ...ordered,
+    activity: appendActivity(stored.activity, local.activity.filter(entry => !baseActivityIds.has(entry.id) && !storedActivityIds.has(entry.id))),
+    snapshots: [...stored.snapshots.filter(snapshot => !localDates.has(snapshot.date)), ...local.snapshots]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .slice(-SNAPSHOT_LIMIT),
+  };
+  const conflictKeys = new Set(conflicts.map(keyOf));
+  return {
+    merged,
+    saved: {
+      ...copyChangedRecords(pickWorkspace(base), local, changes.filter(change => !conflictKeys.has(keyOf(change)))),
+      activity: local.activity,
+      snapshots: local.snapshots,
+    },
+    // Seen from this client: its own version is the local one
+    conflicts: conflicts.map(conflict => ({ ...conflict, local: conflict.remote, remote: conflict.local })),
+  };
+};
+
+// Write what `local` changed since `base` into the adapter's copy. Resolves to { saved, conflicts }.
+const saveMergedWorkspace = async (adapter, base, local, skippedKeys) => {
+  const stored = await loadWorkspace(adapter);
+  if (!stored || !base) {
+    await saveWorkspace(adapter, local);
+    return { saved: local, conflicts: [] };
+  }
+  const { merged, saved, conflicts } = mergeWorkspaces(stored, base, local, skippedKeys);
+  if (!isSameRecord(merged, { ...pickWorkspace(stored), activity: stored.activity, snapshots: stored.snapshots })) {
+    await saveWorkspace(adapter, merged);
+  }
+  return { saved, conflicts };
+};
+
+// Message the app's other tabs: BroadcastChannel where available, storage events otherwise.
+// Returns { post(message), close() }; a tab never receives its own messages.
+const createSyncChannel = (onMessage) => {
+  if (typeof window.BroadcastChannel === 'function') {
+    const channel = new window.BroadcastChannel(SYNC_CHANNEL_NAME);
+    channel.onmessage = (event) => onMessage(event.data);
+    return { post: (message) => channel.postMessage(message), close: () => channel.close() };
+  }
+
+  const handleStorage = (event) => {
+    if (event.key !== SYNC_STORAGE_KEY || !event.newValue) return;
+    try {
+      onMessage(JSON.parse(event.newValue));
+    } catch (error) {
+      console.error("Error reading sync message:", error);
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+  return {
+    post: (message) => window.localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify(message)),
+    close: () => window.removeEventListener('storage', handleStorage),
+  };
+};
+
+// --- Import & Export Utilities ---
+
+const WORKSPACE_COLLECTIONS = ['projects', 'tasks', 'teamMembers'];
+
+const COLLECTION_LABELS = {
+  projects: 'Projects',
+  tasks: 'Tasks',
+  teamMembers: 'Team Members',
+};
+
+// CSV columns per collection, with the type used to read each column back in
+const CSV_COLUMNS = {
+  projects: [
+    { key: 'id', type: 'string' },
+    { key: 'name', type: 'string' },
+    { key: 'status', type: 'string' },
+    { key: 'progress', type: 'number' },
+    { key: 'progressMode', type: 'string' },
+    { key: 'isManualProgress', type: 'boolean' },
+    { key: 'startDate', type: 'date' },
+    { key: 'dueDate', type: 'date' },
+  ],
+  tasks: [
+    { key: 'id', type: 'string' },
+    { key: 'projectId', type: 'string' },
+    { key: 'name', type: 'string' },
+    { key: 'isComplete', type: 'boolean' },
+    { key: 'status', type: 'string' },
+    { key: 'assignedToMemberId', type: 'string' },
+    { key: 'estimate', type: 'number' },
+    { key: 'startDate', type: 'date' },
+    { key: 'dueDate', type: 'date' },
+    { key: 'dependsOn', type: 'list' },
+  ],
+  teamMembers: [
+    { key: 'id', type: 'string' },
+    { key: 'name', type: 'string' },
+    { key: 'maxCapacity', type: 'number' },
+    { key: 'maxEffort', type: 'number' },
+  ],
+};
+
+const CSV_LIST_SEPARATOR = ';'; // Joins list cells such as task dependencies
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(CSV_LIST_SEPARATOR) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows, columns) => [
+  columns.map(column => column.key).join(','),
+  ...rows.map(row => columns.map(column => escapeCsvValue(row[column.key])).join(',')),
+].join('\r\n');
+
+// Split CSV text into rows of raw string cells, honouring quoted fields
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Cells that do not fit their column's type are kept as text, so validateRecordFields can report them
+const coerceCsvValue = (value, type) => {
+  if (value === '') return type === 'list' ? [] : null;
+  if (type === 'number') return value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+  if (type === 'boolean') {
+    const flag = value.trim().toLowerCase();
+    return flag === 'true' || flag === 'false' ? flag === 'true' : value;
+  }
+  if (type === 'list') return value.split(CSV_LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+  return value;
+};
+
+// Turn CSV text into records for one collection; unknown columns are ignored
+const parseCollectionCsv = (text, collection) => {
+  const [header = [], ...rows] = parseCsvRows(text);
+  const columns = CSV_COLUMNS[collection].filter(column => header.includes(column.key));
+  if (!columns.some(column => column.key === 'id')) {
+    throw new Error(`CSV is missing the "id" column required for ${COLLECTION_LABELS[collection].toLowerCase()}`);
+  }
+  return rows.map(cells => {
+    const record = {};
+    columns.forEach(column => {
+      record[column.key] = coerceCsvValue(cells[header.indexOf(column.key)] ?? '', column.type);
+    });
+    return record;
+  });
+};
+
+// JSON imports go through the same migrations as saves, but records must come from the file itself:
+// a file without one of the record collections is rejected instead of being filled with demo data,
+// and settings collections (workflow, saved views, templates) it does not carry are left as they are
+const parseWorkspaceImport = (stored) => {
+  const { version, data } = readEnvelope(stored);
+  const missing = WORKSPACE_COLLECTIONS.filter(collection => !Array.isArray(data[collection]));
+  if (missing.length > 0) {
+    throw new Error(`The file has no ${missing.map(collection => COLLECTION_LABELS[collection].toLowerCase()).join(', ')} list`);
+  }
+
+  // Empty settings let the file through the migrations' checks; only the ones it carries are kept
+  const { workflow, savedViews, templates, ...records } = migrateWorkspace({
+    schemaVersion: version,
+    data: { workflow: [], savedViews: [], templates: [], ...data },
+  });
+  return {
+    ...records,
+    ...(Array.isArray(data.workflow) && { workflow }),
+    ...(Array.isArray(data.savedViews) && { savedViews }),
+    ...(Array.isArray(data.templates) && { templates }),
+  };
+};
+
+const CSV_TYPE_CHECKS = {
+  string: { isValid: (value) => typeof value === 'string', expected: 'text' },
+  number: { isValid: (value) => typeof value === 'number' && Number.isFinite(value), expected: 'a number' },
+  boolean: { isValid: (value) => typeof value === 'boolean', expected: 'true or false' },
+  date: { isValid: (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value), expected: 'a date (YYYY-MM-DD)' },
+  list: { isValid: (value) => Array.isArray(value), expected: 'a list' },
+};
+
+// Check the type of every known field an imported record carries; empty (null) fields are allowed
+const validateRecordFields = (collection, records) => records.flatMap((record, index) =>
+  CSV_COLUMNS[collection]
+    .filter(column => record[column.key] !== null && record[column.key] !== undefined)
+    .filter(column => !CSV_TYPE_CHECKS[column.type].isValid(record[column.key]))
+    .map(column => `${COLLECTION_LABELS[collection]} row ${index + 1}, column "${column.key}": ${JSON.stringify(record[column.key])} is not ${CSV_TYPE_CHECKS[column.type].expected}.`)
+);
+
+// Check a complete workspace for problems that would break the app once imported
+const validateWorkspace = (workspace) => {
+  const errors = [];
+
+  WORKSPACE_COLLECTIONS.forEach(collection => {
+    const seen = new Set();
+    workspace[collection].forEach((record, index) => {
+      if (!record.id) {
+        errors.push(`${COLLECTION_LABELS[collection]} row ${index + 1} has no id.`);
+      } else if (seen.has(record.id)) {
+        errors.push(`${COLLECTION_LABELS[collection]} contain the id "${record.id}" more than once.`);
+      }
+      seen.add(record.id);
+      if (!record.name || !String(record.name).trim()) {
+        errors.push(`${COLLECTION_LABELS[collection]} "${record.id || index + 1}" has no name.`);
+      }
+    });
+  });
+
+  const projectIds = new Set(workspace.projects.map(p => p.id));
+  const memberIds = new Set(workspace.teamMembers.map(m => m.id));
+  workspace.tasks.forEach(task => {
+    if (!projectIds.has(task.projectId)) {
+      errors.push(`Task "${task.name || task.id}" points at missing project "${task.projectId}".`);
+    }
+    if (task.assignedToMemberId && !memberIds.has(task.assignedToMemberId)) {
+      errors.push(`Task "${task.name || task.id}" is assigned to unknown member "${task.assignedToMemberId}".`);
+    }
+    getDependencies(task).forEach(dependencyId => {
+      const dependency = workspace.tasks.find(t => t.id === dependencyId);
+      if (!dependency) {
+        errors.push(`Task "${task.name || task.id}" depends on missing task "${dependencyId}".`);
+      } else if (dependency.projectId !== task.projectId) {
+        errors.push(`Task "${task.name || task.id}" depends on "${dependency.name || dependencyId}" from another project.`);
+      }
+    });
+    if (task.status && workspace.workflow && !workspace.workflow.some(column => column.id === task.status)) {
+      errors.push(`Task "${task.name || task.id}" is in unknown workflow column "${task.status}".`);
+    }
+    const cycle = findDependencyCycle(workspace.tasks, task.id, getDependencies(task));
+    if (cycle) {
+      errors.push(`Task "${task.name || task.id}" is part of a dependency cycle (${cycle.join(' → ')}).`);
+    }
+  });
+  workspace.teamMembers.forEach(member => {
+    if (!(member.maxCapacity > 0)) {
+      errors.push(`Team member "${member.name || member.id}" needs a capacity of at least 1.`);
+    }
+  });
+
+  return errors;
+};
+
+const IMPORT_MODES = {
+  MERGE: 'merge',     // Incoming records are added, or replace records with the same id
+  REPLACE: 'replace', // Incoming collections replace the current ones entirely
+};
+
+// Work out what an import would change without applying it.
+// `incoming` may hold only some collections (a CSV import); the rest are left untouched.
+const buildImportPreview = (current, incoming, mode) => {
+  // Workflow columns, saved views and templates are settings rather than records, so a file that carries them replaces them whole
+  const result = {
+    ...current,
+    workflow: incoming.workflow || current.workflow,
+    savedViews: incoming.savedViews || current.savedViews,
+    templates: incoming.templates || current.templates,
+  };
+  const changes = {};
+
+  WORKSPACE_COLLECTIONS.forEach(collection => {
+    const incomingRecords = incoming[collection];
+    if (!incomingRecords) return;
+
+    const currentById = new Map(current[collection].map(record => [record.id, record]));
+    const incomingIds = new Set(incomingRecords.map(record => record.id));
+    const updated = incomingRecords.filter(record => currentById.has(record.id)).length;
+
+    if (mode === IMPORT_MODES.REPLACE) {
+      result[collection] = incomingRecords;
+      changes[collection] = {
+        added: incomingRecords.length - updated,
+        updated,
+        removed: current[collection].filter(record => !incomingIds.has(record.id)).length,
+      };
+    } else {
+      const merged = current[collection].map(record =>
+        incomingIds.has(record.id) ? { ...record, ...incomingRecords.find(r => r.id === record.id) } : record
+      );
+      result[collection] = [...merged, ...incomingRecords.filter(record => !currentById.has(record.id))];
+      changes[collection] = { added: incomingRecords.length - updated, updated, removed: 0 };
+    }
+  });
+
+  // Duplicate ids inside the file are lost by merging, so check the incoming records on their own too
+  const duplicateErrors = WORKSPACE_COLLECTIONS
+    .filter(collection => incoming[collection])
+    .flatMap(collection => {
+      const ids = incoming[collection].map(record => record.id);
+      return [...new Set(ids.filter((id, index) => id && ids.indexOf(id) !== index))]
+        .map(id => `${COLLECTION_LABELS[collection]} contain the id "${id}" more than once.`);
+    });
+
+  // Wrongly typed fields are reported by row and column before they can break the checks below
+  const fieldErrors = WORKSPACE_COLLECTIONS
+    .filter(collection => incoming[collection])
+    .flatMap(collection => validateRecordFields(collection, incoming[collection]));
+  if (fieldErrors.length > 0) return { result, changes, errors: fieldErrors };
+
+  return { result, changes, errors: [...new Set([...duplicateErrors, ...validateWorkspace(result)])] };
+};
+
+const downloadFile = (filename, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// --- Search & Filter Utilities ---
+
+// Filters for the list views. They live in the URL query string, so saved views are just paths.
+const PROJECT_FILTER_DEFAULTS = { q: '', status: 'all', assignee: 'all', schedule: 'all', minProgress: 0, maxProgress: 100, sort: 'default' };
+const TASK_FILTER_DEFAULTS = { q: '', assignee: 'all', completion: 'all', status: 'all', schedule: 'all', sort: 'default' };
+
+// Fill in defaults for filters missing from the URL; unknown keys are dropped
+const readFilters = (routeFilters, defaults) =>
+  Object.fromEntries(Object.entries(defaults).map(([key, fallback]) => [key, routeFilters[key] ?? fallback]));
+
+const matchesQuery = (text, query) => String(text || '').toLowerCase().includes(query.trim().toLowerCase());
+
+// 'all', 'unassigned' or a member ID
+const matchesAssignee = (task, assignee, teamMembers) => {
+  if (assignee === 'all') return true;
+  if (assignee === 'unassigned') return isTaskUnassigned(task, teamMembers);
+  return task.assignedToMemberId === assignee;
+};
+
+// Read a progress bound typed by the user or taken from the URL: null unless it is a number from 0 to 100,
+// and `fallback` when it was left empty
+const parseProgressBound = (value, fallback) => {
+  if (String(value).trim() === '') return fallback;
+  const bound = Number(value);
+  return Number.isFinite(bound) && bound >= 0 && bound <= 100 ? bound : null;
+};
+
+// Projects match the text search by their own name or the name of one of their tasks,
+// and the assignee filter when at least one of their tasks matches it
+const filterProjects = (projects, tasks, teamMembers, statuses, filters) => {
+  // Hand-edited URLs can hold anything, so unreadable bounds fall back to the full range
+  const minProgress = parseProgressBound(filters.minProgress, PROJECT_FILTER_DEFAULTS.minProgress) ?? PROJECT_FILTER_DEFAULTS.minProgress;
+  const maxProgress = parseProgressBound(filters.maxProgress, PROJECT_FILTER_DEFAULTS.maxProgress) ?? PROJECT_FILTER_DEFAULTS.maxProgress;
+  const matches = projects.filter(project => {
+    const projectTasks = tasks.filter(t => t.projectId === project.id);
+    if (filters.q.trim() && !matchesQuery(project.name, filters.q) && !projectTasks.some(t => matchesQuery(t.name, filters.q))) return false;
+    if (filters.status !== 'all' && project.status !== filters.status) return false;
+    if (filters.assignee !== 'all' && !projectTasks.some(t => matchesAssignee(t, filters.assignee, teamMembers))) return false;
+    return project.progress >= minProgress && project.progress <= maxProgress;
+  });
+  return filterAndSortBySchedule(matches, statuses, filters.schedule, filters.sort);
+};
+
+// Tasks match the text search by their own name or their assignee's name
+const filterTasks = (tasks, teamMembers, statuses, filters) => {
+  const getMemberName = (id) => teamMembers.find(m => m.id === id)?.name;
+  const matches = tasks.filter(task => {
+    if (filters.q.trim() && !matchesQuery(task.name, filters.q) && !matchesQuery(getMemberName(task.assignedToMemberId), filters.q)) return false;
+    if (!matchesAssignee(task, filters.assignee, teamMembers)) return false;
+    if (filters.completion !== 'all' && task.isComplete !== (filters.completion === 'completed')) return false;
+    return filters.status === 'all' || task.status === filters.status;
+  });
+  return filterAndSortBySchedule(matches, statuses, filters.schedule, filters.sort);
+};
+
+// Global search across project, task and member names
+const searchWorkspace = ({ projects, tasks, teamMembers }, query) => ({
+  projects: projects.filter(p => matchesQuery(p.name, query)),
+  tasks: tasks.filter(t => matchesQuery(t.name, query)),
+  teamMembers: teamMembers.filter(m => matchesQuery(m.name, query)),
+});
+
+// --- Routing ---
+
+// Views are addressed by the URL hash so they survive a refresh and can be shared:
+//   #/projects, #/projects/:projectId/tasks, #/projects/:projectId/board, #/timeline, #/reports, #/team, #/team/:memberId,
+//   #/notifications, #/data
+// List views keep their filters in a query string, e.g. #/projects?status=On%20Hold&sort=dueDate
+const DEFAULT_ROUTE = '/projects';
+
+// Translate a location hash into the view state the App renders
+const parseRoute = (hash) => {
+  const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+  const segments = path.split('/').filter(Boolean).map(decodeURIComponent);
+  const route = {
+    activeView: 'dashboard',
+    selectedProjectId: null,
+    selectedMemberId: null,
+    routeFilters: Object.fromEntries(new URLSearchParams(query)),
+  };
+
+  if (segments[0] === 'projects' && segments[1] && segments[2] === 'tasks') {
+    return { ...route, activeView: 'tasks', selectedProjectId: segments[1] };
+  }
+  if (segments[0] === 'projects' && segments[1] && segments[2] === 'board') {
+    return { ...route, activeView: 'board', selectedProjectId: segments[1] };
+  }
+  if (segments[0] === 'team') {
+    return segments[1]
+      ? { ...route, activeView: 'member', selectedMemberId: segments[1] }
+      : { ...route, activeView: 'team' };
+  }
+  if (segments[0] === 'timeline') {
+    return { ...route, activeView: 'timeline' };
+  }
+  if (segments[0] === 'reports') {
+    return { ...route, activeView: 'reports' };
+  }
+  if (segments[0] === 'notifications') {
+    return { ...route, activeView: 'notifications' };
+  }
+  if (segments[0] === 'data') {
+    return { ...route, activeView: 'data' };
+  }
+  return route;
+};
+
+const projectTasksPath = (projectId) => `/projects/${encodeURIComponent(projectId)}/tasks`;
+const projectBoardPath = (projectId) => `/projects/${encodeURIComponent(projectId)}/board`;
+const memberPath = (memberId) => `/team/${encodeURIComponent(memberId)}`;
+
+// Changing the hash adds a browser history entry; the App follows along via 'hashchange'
+const navigate = (path) => {
+  window.location.hash = path;
+};
+
+// Swap the current history entry instead, so tweaking filters does not flood back/forward
+const replaceRoute = (path) => {
+  window.location.replace(`#${path}`);
+};
+
+// The current hash path without its query string, e.g. '/projects/p1/tasks'
+const getRoutePath = () => window.location.hash.replace(/^#/, '').split('?')[0] || DEFAULT_ROUTE;
+
+// Append the filters that differ from their defaults as a query string
+const withFilters = (path, filters, defaults) => {
+  const params = new URLSearchParams(
+    Object.entries(filters).filter(([key, value]) => value !== '' && String(value) !== String(defaults[key]))
+  );
+  const query = params.toString();
+  return query ? `${path}?${query}` : path;
+};
+
+// --- Reusable Components ---
+
+const ProgressBar = React.memo(({ progress, colorClass = 'bg-blue-500' }) => {
+  // Ensure progress is within [0, 100] range
+  const safeProgress = Math.min(100, Math.max(0, progress));
+
+  return (
+    <div className="w-full bg-gray-200 rounded-full h-2.5">
+      <div
+        className={`h-2.5 rounded-full transition-all duration-500 ${colorClass}`}
+        style={{ width: `${safeProgress}%` }}
+      ></div>
+    </div>
+  );
+});
+
+const Card = ({ children, className = '' }) => (
+  <div className={`bg-white p-6 rounded-xl shadow-lg border border-gray-100 ${className}`}>
+    {children}
+  </div>
+);
+
+const SCHEDULE_BADGE_CLASSES = {
+  [SCHEDULE_STATUS.ON_TRACK]: 'bg-green-100 text-green-700',
+  [SCHEDULE_STATUS.AT_RISK]: 'bg-orange-100 text-orange-700',
+  [SCHEDULE_STATUS.OVERDUE]: 'bg-red-100 text-red-700',
+};
+
+const ScheduleBadge = ({ status }) => {
+  if (!status) return null;
+  return (
+    <span className={`text-xs font-medium px-2 py-1 rounded-full whitespace-nowrap ${SCHEDULE_BADGE_CLASSES[status]}`}>
+      {status}
+    </span>
+  );
+};
+
+const DateRange = ({ startDate, dueDate }) => {
+  if (!startDate && !dueDate) return null;
+  return (
+    <span className="flex items-center text-xs text-gray-500 whitespace-nowrap">
+      <Calendar className="w-3 h-3 mr-1" />
+      {startDate || '—'} → {dueDate || '—'}
+    </span>
+  );
+};
+
+const ConfirmDialog = ({ title, message, confirmLabel, onConfirm, onCancel }) => (
+  <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40">
+    <div role="dialog" aria-modal="true" className="w-full max-w-md p-6 bg-white rounded-xl shadow-xl">
+      <h2 className="text-lg font-bold text-gray-800 mb-2">{title}</h2>
+      <p className="text-sm text-gray-600 mb-6">{message}</p>
+      <div className="flex justify-end space-x-2">
+        <button
+          onClick={onCancel}
+          className="px-4 py-2 text-sm text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={onConfirm}
+          className="px-4 py-2 text-sm text-white bg-red-500 rounded-lg hover:bg-red-600 transition"
+        >
+          {confirmLabel}
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+// Lets the user decide where a departing member's tasks go before the member is removed
+const DeleteMemberDialog = ({ member, teamMembers, tasks, projects, onConfirm, onCancel }) => {
+  const otherMembers = teamMembers.filter(m => m.id !== member.id);
+  const memberTasks = tasks.filter(t => t.assignedToMemberId === member.id);
+  const openCount = memberTasks.filter(t => !t.isComplete).length;
+
+  const [strategy, setStrategy] = useState(otherMembers.length ? HANDOFF_STRATEGIES.REASSIGN : HANDOFF_STRATEGIES.UNASSIGN);
+  const [targetMemberId, setTargetMemberId] = useState(otherMembers[0]?.id || '');
+
+  const handoff = { strategy, targetMemberId };
+  const plan = planMemberHandoff(member.id, handoff, teamMembers, tasks);
+  const getMemberName = (id) => teamMembers.find(m => m.id === id)?.name || 'Unassigned';
+  const getProjectName = (id) => projects.find(p => p.id === id)?.name || 'Unknown project';
+
+  const options = [
+    {
+      value: HANDOFF_STRATEGIES.REASSIGN,
+      label: 'Reassign all tasks to one member',
+      disabled: otherMembers.length === 0,
+    },
+    {
+      value: HANDOFF_STRATEGIES.SPLIT,
+      label: 'Split open tasks by remaining capacity',
+      hint: 'Completed tasks become unassigned.',
+      disabled: otherMembers.length === 0,
+    },
+    {
+      value: HANDOFF_STRATEGIES.UNASSIGN,
+      label: 'Leave tasks unassigned',
+    },
+  ];
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40">
+      <div role="dialog" aria-modal="true" className="w-full max-w-lg p-6 bg-white rounded-xl shadow-xl">
+        <h2 className="text-lg font-bold text-gray-800 mb-2">Delete {member.name}?</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          {member.name} has {memberTasks.length} task{memberTasks.length === 1 ? '' : 's'} ({openCount} open).
+          {memberTasks.length > 0 && ' Choose who takes them over. No tasks are deleted.'}
+        </p>
+
+        {memberTasks.length > 0 && (
+          <>
+            <div className="space-y-2 mb-4">
+              {options.map(option => (
+                <label key={option.value} className={`flex items-start text-sm ${option.disabled ? 'text-gray-400' : 'text-gray-700'}`}>
+                  <input
+                    type="radio"
+                    name="handoff"
+                    value={option.value}
+                    checked={strategy === option.value}
+                    disabled={option.disabled}
+                    onChange={() => setStrategy(option.value)}
+                    className="mt-1 mr-2"
+                  />
+                  <span>
+                    {option.label}
+                    {option.hint && <span className="block text-xs text-gray-500">{option.hint}</span>}
+                  </span>
+                </label>
+              ))}
+            </div>
+
+            {strategy === HANDOFF_STRATEGIES.REASSIGN && (
+              <select
+                value={targetMemberId}
+                onChange={(e) => setTargetMemberId(e.target.value)}
+                className="w-full p-2 mb-4 border border-gray-300 rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500"
+              >
+                {otherMembers.map(m => (
+                  <option key={m.id} value={m.id}>{m.name}</option>
+                ))}
+              </select>
+            )}
+
+            <ul className="max-h-48 overflow-y-auto mb-6 text-sm border border-gray-100 rounded-lg divide-y divide-gray-100">
+              {memberTasks.map(task => (
+                <li key={task.id} className="flex justify-between px-3 py-2">
+                  <span className={task.isComplete ? 'text-gray-400 line-through' : 'text-gray-700'}>
+                    {task.name} <span className="text-xs text-gray-400">· {getProjectName(task.projectId)}</span>
+                  </span>
+                  <span className="ml-3 text-gray-500 whitespace-nowrap">→ {getMemberName(plan[task.id])}</span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        <div className="flex justify-end space-x-2">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 text-sm text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onConfirm(handoff)}
+            className="px-4 py-2 text-sm text-white bg-red-500 rounded-lg hover:bg-red-600 transition"
+          >
+            Delete Member
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Shows proposed reassignments as a before/after list; nothing changes until they are applied
+const AssignmentPreviewDialog = ({ title, description, changes, tasks, teamMembers, projects, applyLabel, onApply, onCancel }) => {
+  const getMemberName = (id) => teamMembers.find(m => m.id === id)?.name || 'Unassigned';
+  const getProjectName = (id) => projects.find(p => p.id === id)?.name || 'Unknown project';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40">
+      <div role="dialog" aria-modal="true" className="w-full max-w-lg p-6 bg-white rounded-xl shadow-xl">
+        <h2 className="text-lg font-bold text-gray-800 mb-2">{title}</h2>
+        <p className="text-sm text-gray-600 mb-4">{description}</p>
+        {changes.length === 0 ? (
+          <p className="mb-6 text-sm text-gray-500">There is nothing to change right now.</p>
+        ) : (
+          <ul className="max-h-64 overflow-y-auto mb-6 text-sm border border-gray-100 rounded-lg divide-y divide-gray-100">
+            {changes.map(({ taskId, fromMemberId, toMemberId }) => {
+              const task = tasks.find(t => t.id === taskId);
+              return (
+                <li key={taskId} className="px-3 py-2">
+                  <p className="text-gray-700">
+                    {task.name} <span className="text-xs text-gray-400">· {getProjectName(task.projectId)}</span>
+                  </p>
+                  <p className="text-xs">
+                    <span className="text-red-600 line-through">{getMemberName(fromMemberId)}</span>
+                    <span className="mx-1 text-gray-400">→</span>
+                    <span className="text-green-700 font-medium">{getMemberName(toMemberId)}</span>
+                  </p>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+        <div className="flex justify-end space-x-2">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 text-sm text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={onApply}
+            disabled={changes.length === 0}
+            className="px-4 py-2 text-sm text-white bg-blue-500 rounded-lg hover:bg-blue-600 transition disabled:opacity-50"
+          >
+            {applyLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Members ranked by remaining capacity for a task about to be added (see rankMembersByHeadroom).
+// Nothing is assigned until the user picks a member; the one with the most headroom is preselected.
+const AssigneeRankingDialog = ({ ranking, onAssign, onCancel }) => {
+  const [memberId, setMemberId] = useState(ranking[0]?.member.id || '');
+  const chosen = ranking.find(entry => entry.member.id === memberId);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40">
+      <div role="dialog" aria-modal="true" className="w-full max-w-lg p-6 bg-white rounded-xl shadow-xl">
+        <h2 className="text-lg font-bold text-gray-800 mb-2">Choose an assignee</h2>
+        <p className="text-sm text-gray-600 mb-4">Members ranked by remaining capacity: their capacity this week minus their open tasks.</p>
+        <ul className="max-h-64 overflow-y-auto mb-6 text-sm border border-gray-100 rounded-lg divide-y divide-gray-100">
+          {ranking.map(({ member, openTasks, capacity, headroom }, index) => (
+            <li key={member.id} className="px-3 py-2">
+              <label className="flex items-center justify-between text-gray-700">
+                <span className="flex items-center">
+                  <input
+                    type="radio"
+                    name="assignee"
+                    value={member.id}
+                    checked={memberId === member.id}
+                    onChange={() => setMemberId(member.id)}
+                    className="mr-2"
+                  />
+                  {member.name}
+                  {index === 0 && (
+                    <span className="ml-2 text-xs font-medium px-2 py-0.5 rounded-full bg-indigo-100 text-indigo-700">Most headroom</span>
+                  )}
+                </span>
+                <span className={`text-xs ${headroom > 0 ? 'text-green-700' : 'text-red-600'}`}>
+                  {headroom} left · {openTasks} open of {capacity}
+                </span>
+              </label>
+            </li>
+          ))}
+        </ul>
+        <div className="flex justify-end space-x-2">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 text-sm text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onAssign(chosen)}
+            disabled={!chosen}
+            className="px-4 py-2 text-sm text-white bg-blue-500 rounded-lg hover:bg-blue-600 transition disabled:opacity-50"
+          >
+            Assign {chosen ? chosen.member.name : ''}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Filter and sort controls shared by the dashboard and the task list
+const ScheduleControls = ({ filter, onFilterChange, sortKey, onSortChange, sortOptions }) => (
+  <div className="flex flex-wrap items-center gap-3 text-sm">
+    <label className="flex items-center text-gray-600">
+      <span className="mr-2">Schedule:</span>
+      <select
+        value={filter}
+        onChange={(e) => onFilterChange(e.target.value)}
+        className="p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+      >
+        <option value="all">All</option>
+        {Object.values(SCHEDULE_STATUS).map(status => (
+          <option key={status} value={status}>{status}</option>
+        ))}
+      </select>
+    </label>
+    <label className="flex items-center text-gray-600">
+      <span className="mr-2">Sort by:</span>
+      <select
+        value={sortKey}
+        onChange={(e) => onSortChange(e.target.value)}
+        className="p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+      >
+        {sortOptions.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    </label>
+  </div>
+);
+
+// Applies a schedule filter and one of the shared sort keys without mutating `items`
+const filterAndSortBySchedule = (items, statuses, filter, sortKey) => {
+  const filtered = filter === 'all' ? items : items.filter(item => statuses[item.id] === filter);
+  switch (sortKey) {
+    case 'schedule':
+      return [...filtered].sort(compareByScheduleStatus(statuses));
+    case 'dueDate':
+      return [...filtered].sort(compareByDueDate);
+    case 'progress':
+      return [...filtered].sort((a, b) => a.progress - b.progress);
+    case 'name':
+      return [...filtered].sort((a, b) => a.name.localeCompare(b.name));
+    default:
+      return filtered;
+  }
+};
+
+const ACTIVITY_FEED_PAGE = 10; // Entries shown before "Show all"
+
+const formatActivityValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  if (Array.isArray(value)) return value.length ? value.map(formatActivityValue).join(', ') : '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Newest-first list of activity entries with their before/after values
+const ActivityFeed = ({ entries }) => {
+  const [showAll, setShowAll] = useState(false);
+  const newestFirst = [...entries].reverse();
+  const visibleEntries = showAll ? newestFirst : newestFirst.slice(0, ACTIVITY_FEED_PAGE);
+
+  if (entries.length === 0) return <p className="text-sm text-gray-500">No activity recorded yet.</p>;
+
+  return (
+    <div className="space-y-3">
+      {visibleEntries.map(entry => (
+        <div key={entry.id} className="p-3 text-sm bg-gray-50 border border-gray-100 rounded-lg">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <span className="text-gray-800">
+              <strong>{entry.actor}</strong> · {entry.action} · <span className="text-gray-600">{entry.entityType} "{entry.entityName}"</span>
+            </span>
+            <span className="text-xs text-gray-500">{new Date(entry.timestamp).toLocaleString()}</span>
+          </div>
+          {!entry.before && <p className="mt-1 text-xs text-green-700">Created</p>}
+          {!entry.after && <p className="mt-1 text-xs text-red-700">Deleted</p>}
+          {entry.before && entry.after && (
+            <ul className="mt-1 space-y-0.5 text-xs text-gray-600">
+              {Object.keys(entry.after).map(field => (
+                <li key={field}>
+                  <span className="font-medium">{field}:</span> {formatActivityValue(entry.before[field])} → {formatActivityValue(entry.after[field])}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+      {entries.length > ACTIVITY_FEED_PAGE && (
+        <button onClick={() => setShowAll(!showAll)} className="text-sm text-blue-600 hover:text-blue-800">
+          {showAll ? 'Show recent only' : `Show all ${entries.length} entries`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Names the current filter combination and saves it as a view in the sidebar
+const SaveViewControl = ({ onSave }) => {
+  const [isNaming, setIsNaming] = useState(false);
+  const [name, setName] = useState('');
+
+  const handleSave = () => {
+    if (!name.trim()) return;
+    onSave(name.trim());
+    setName('');
+    setIsNaming(false);
+  };
+
+  if (!isNaming) {
+    return (
+      <button
+        onClick={() => setIsNaming(true)}
+        className="flex items-center px-3 py-2 text-sm text-blue-700 bg-blue-100 rounded-lg hover:bg-blue-200 transition"
+      >
+        <Bookmark className="w-4 h-4 mr-1" /> Save View
+      </button>
+    );
+  }
+  return (
+    <div className="flex items-center space-x-2 text-sm">
+      <input
+        type="text"
+        autoFocus
+        placeholder="View name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+        className="p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+      />
+      <button
+        onClick={handleSave}
+        disabled={!name.trim()}
+        className="px-3 py-2 text-white bg-blue-500 rounded-lg hover:bg-blue-600 transition disabled:opacity-50"
+      >
+        Save
+      </button>
+      <button
+        onClick={() => setIsNaming(false)}
+        className="px-3 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition"
+      >
+        Cancel
+      </button>
+    </div>
+  );
+};
+
+// Minimum and maximum progress filter. The inputs keep what is typed, so a bound can be cleared and
+// retyped; only a valid range reaches the filters, and an empty bound means no limit.
+const ProgressRangeFilter = ({ min, max, onChange }) => {
+  const [draft, setDraft] = useState({ min: String(min), max: String(max) });
+
+  // Follow changes made elsewhere, e.g. Clear Filters or a saved view, leaving a draft that already
+  // means the same bound (such as an empty one) as typed. Each bound only follows its own filter.
+  useEffect(() => {
+    setDraft(current => (parseProgressBound(current.min, PROJECT_FILTER_DEFAULTS.minProgress) === Number(min) ? current : { ...current, min: String(min) }));
+  }, [min]);
+  useEffect(() => {
+    setDraft(current => (parseProgressBound(current.max, PROJECT_FILTER_DEFAULTS.maxProgress) === Number(max) ? current : { ...current, max: String(max) }));
+  }, [max]);
+
+  const minBound = parseProgressBound(draft.min, PROJECT_FILTER_DEFAULTS.minProgress);
+  const maxBound = parseProgressBound(draft.max, PROJECT_FILTER_DEFAULTS.maxProgress);
+  const error = minBound === null || maxBound === null
+    ? 'Use values from 0 to 100.'
+    : minBound > maxBound ? 'The minimum is above the maximum.' : null;
+
+  const handleChange = (key, value) => {
+    const next = { ...draft, [key]: value };
+    setDraft(next);
+    const nextMin = parseProgressBound(next.min, PROJECT_FILTER_DEFAULTS.minProgress);
+    const nextMax = parseProgressBound(next.max, PROJECT_FILTER_DEFAULTS.maxProgress);
+    if (nextMin !== null && nextMax !== null && nextMin <= nextMax) onChange(nextMin, nextMax);
+  };
+
+  const inputClass = `w-16 p-2 border rounded-lg text-center ${error ? 'border-red-400' : 'border-gray-300'}`;
+
+  return (
+    <label className="flex items-center text-gray-600">
+      <span className="mr-2">Progress:</span>
+      <input
+        type="number"
+        min="0"
+        max="100"
+        title="Minimum Progress"
+        value={draft.min}
+        onChange={(e) => handleChange('min', e.target.value)}
+        className={inputClass}
+      />
+      <span className="mx-1">–</span>
+      <input
+        type="number"
+        min="0"
+        max="100"
+        title="Maximum Progress"
+        value={draft.max}
+        onChange={(e) => handleChange('max', e.target.value)}
+        className={inputClass}
+      />
+      <span className="ml-1">%</span>
+      {error && <span className="ml-2 text-xs text-red-600">{error}</span>}
+    </label>
+  );
+};
+
+// Header badge for the connection: online, offline, or online with queued changes still to send
+const ConnectionStatus = ({ isOnline, pendingCount, onRetry }) => {
+  const pendingLabel = `${pendingCount} pending change${pendingCount === 1 ? '' : 's'}`;
+  if (!isOnline) {
+    return (
+      <span
+        title="Changes are saved on this device and sent when the connection returns"
+        className="flex items-center px-3 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-lg"
+      >
+        <WifiOff className="w-4 h-4 mr-1" /> Offline{pendingCount > 0 && ` · ${pendingLabel}`}
+      </span>
+    );
+  }
+  if (pendingCount > 0) {
+    return (
+      <button
+        onClick={onRetry}
+        title="Some changes have not reached the server yet. Click to retry now."
+        className="flex items-center px-3 py-2 text-sm font-medium text-yellow-800 bg-yellow-100 rounded-lg hover:bg-yellow-200 transition"
+      >
+        <RefreshCw className="w-4 h-4 mr-1" /> {pendingLabel}
+      </button>
+    );
+  }
+  return (
+    <span title="All changes saved" className="flex items-center px-3 py-2 text-sm font-medium text-green-700 bg-green-100 rounded-lg">
+      <Wifi className="w-4 h-4 mr-1" /> Online
+    </span>
+  );
+};
+
+// --- Logic & State Manager Component (App) ---
+
+const App = () => {
+  // Start from the initial data; the configured backend replaces it once it has loaded
+  const [data, setData] = useState(() => ({
+    ...getInitialWorkspace(),
+    history: EMPTY_HISTORY, // This tab's undo history, restored with the workspace (see loadHistory)
+    ...parseRoute(window.location.hash), // activeView: 'dashboard', 'tasks', 'board', 'timeline', 'reports', 'team', 'member', 'notifications', 'data'
+    syncConflicts: [], // Records another tab changed while this one changed them too
+  }));
+  const [backupKey, setBackupKey] = useState(null);
+  const [confirmation, setConfirmation] = useState(null); // { title, message, confirmLabel, onConfirm }
+  const [memberPendingDeletion, setMemberPendingDeletion] = useState(null); // ID of the member being deleted
+  const [searchQuery, setSearchQuery] = useState(''); // Global search; results replace the current view while set
+  const [notice, setNotice] = useState(null); // Why the last action was refused, shown above the current view
+
+  // The member this browser acts as; their role decides which actions are allowed
+  const [currentUserId, setCurrentUserId] = useState(loadCurrentUserId);
+  const currentUser = useMemo(() => resolveCurrentUser(data.teamMembers, currentUserId), [data.teamMembers, currentUserId]);
+  // Read by the activity log from inside state updaters
+  const actorRef = useRef(currentUser);
+  actorRef.current = { id: currentUser.id, name: currentUser.name };
+
+  const [storageConfig, setStorageConfig] = useState(loadStorageConfig);
+  const storageAdapter = useMemo(() => createStorageAdapter(storageConfig), [storageConfig]);
+  // status: 'loading', 'ready' or 'error'; operation says whether the error came from a 'load' or a 'save'
+  const [storageState, setStorageState] = useState({ status: 'loading', error: null });
+  const saveQueue = useRef(Promise.resolve());
+  // The workspace as this tab last loaded or saved it; saves write only what changed since (see saveMergedWorkspace)
+  const savedRef = useRef(null);
+
+  const [isOnline, setIsOnline] = useState(() => !isBrowserOffline());
+  const [pendingCount, setPendingCount] = useState(0); // Writes waiting in the offline outbox
+
+  // Resolves to the number of writes waiting
+  const refreshPendingCount = useCallback(async () => {
+    const count = storageAdapter.countPending ? await storageAdapter.countPending() : 0;
+    setPendingCount(count);
+    return count;
+  }, [storageAdapter]);
+
+  // Bring in what the server holds once the outbox is sent. Records others saved while this tab was
+  // offline merge like another tab's changes; records both sides changed stay as they are here until
+  // the conflict is resolved.
+  const applyFlushedWorkspace = useCallback(({ workspace, conflicts }) => {
+    const base = savedRef.current;
+    if (!base) return;
+    const conflictKeys = new Set(conflicts.map(c => `${c.collection}:${c.id}`));
+    const changes = diffWorkspaceRecords(base, workspace).filter(change => !conflictKeys.has(`${change.collection}:${change.id}`));
+    savedRef.current = { ...copyChangedRecords(base, workspace, changes), activity: workspace.activity };
+    setData(prev => {
+      const merged = mergeRemoteChanges(pickWorkspace(prev), changes);
+      const knownIds = new Set(prev.activity.map(entry => entry.id));
+      const allConflicts = [...conflicts, ...merged.conflicts];
+      const allKeys = new Set(allConflicts.map(c => `${c.collection}:${c.id}`));
+      return {
+        ...prev,
+        ...merged.workspace,
+        activity: appendActivity(prev.activity, workspace.activity.filter(entry => !knownIds.has(entry.id))),
+        history: markChangedElsewhere(prev.history, merged.applied),
+        syncConflicts: allConflicts.length
+          ? [...prev.syncConflicts.filter(c => !allKeys.has(`${c.collection}:${c.id}`)), ...allConflicts]
+          : prev.syncConflicts,
+      };
+    });
+  }, []);
+
+  // Send queued writes through the save queue so they land in order with new saves
+  const flushOutbox = useCallback(() => {
+    if (!storageAdapter.flush) return;
+    saveQueue.current = saveQueue.current
+      .then(() => storageAdapter.flush())
+      .then(result => result && applyFlushedWorkspace(result))
+      .catch(error => console.error("Error sending offline changes:", error))
+      .then(refreshPendingCount);
+  }, [storageAdapter, refreshPendingCount, applyFlushedWorkspace]);
+
+  // Follow the connection, and replay the outbox when it returns or the service worker asks for it
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      flushOutbox();
+    };
+    const handleOffline = () => setIsOnline(false);
+    const handleWorkerMessage = (event) => {
+      if (event.data && event.data.type === 'flush-outbox') flushOutbox();
+    };
+    const serviceWorker = window.navigator.serviceWorker;
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    if (serviceWorker) serviceWorker.addEventListener('message', handleWorkerMessage);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      if (serviceWorker) serviceWorker.removeEventListener('message', handleWorkerMessage);
+    };
+  }, [flushOutbox]);
+
+  useEffect(() => {
+    registerServiceWorker();
+  }, []);
+
+  // Load (and migrate) the workspace whenever the storage backend changes.
+  // An empty backend keeps the current workspace, which is then written to it. Unreadable data
+  // leaves storage in the error state, so the workspace shown is never saved over it.
+  useEffect(() => {
+    let isCancelled = false;
+    setStorageState({ status: 'loading', error: null });
+    loadWorkspace(storageAdapter)
+      .then(workspace => {
+        if (isCancelled) return;
+        savedRef.current = workspace;
+        setData(prev => {
+          const next = { ...prev, ...workspace };
+          return { ...next, history: keepApplicableHistory(loadHistory(storageConfig), pickWorkspace(next)) };
+        });
+        setBackupKey(null);
+        setStorageState({ status: 'ready', error: null });
+      })
+      .catch(error => {
+        if (isCancelled) return;
+        console.error("Error loading workspace:", error);
+        setBackupKey(error.backupKey || null);
+        setStorageState({ status: 'error', error: error.message, operation: 'load' });
+      });
+    return () => { isCancelled = true; };
+  }, [storageAdapter, storageConfig]);
+
+  // Show conflicts, replacing any earlier one for the same record
+  const addSyncConflicts = useCallback((conflicts) => {
+    const conflictKeys = new Set(conflicts.map(c => `${c.collection}:${c.id}`));
+    setData(prev => ({
+      ...prev,
+      syncConflicts: [...prev.syncConflicts.filter(c => !conflictKeys.has(`${c.collection}:${c.id}`)), ...conflicts],
+    }));
+  }, []);
+
+  // Persist data whenever the workspace, the activity log or the snapshots change. Each save merges this
+  // tab's changes into the stored copy (see saveMergedWorkspace); records someone else saved meanwhile
+  // are raised as conflicts, and unresolved ones are not written until they are resolved.
+  // Nothing is written until the backend has loaded, and writes are queued so they land in order.
+  useEffect(() => {
+    if (storageState.status !== 'ready') return;
+    const workspace = { ...pickWorkspace(data), activity: data.activity, snapshots: data.snapshots };
+    const skippedKeys = new Set(data.syncConflicts.map(c => `${c.collection}:${c.id}`));
+    saveQueue.current = saveQueue.current
+      .then(() => saveMergedWorkspace(storageAdapter, savedRef.current, workspace, skippedKeys))
+      .then(({ saved, conflicts }) => {
+        savedRef.current = saved;
+        if (conflicts.length) addSyncConflicts(conflicts);
+      })
+      .then(refreshPendingCount)
+      // Writes wait while earlier ones are queued; send them as soon as the server may be reachable
+      .then(count => {
+        if (count > 0 && !isBrowserOffline()) flushOutbox();
+      })
+      .catch(error => {
+        console.error("Error saving workspace:", error);
+        setStorageState({ status: 'error', error: error.message, operation: 'save' });
+      });
+  }, [data.projects, data.tasks, data.teamMembers, data.workflow, data.savedViews, data.templates, data.activity, data.snapshots, data.syncConflicts, storageAdapter, storageState.status, refreshPendingCount, flushOutbox, addSyncConflicts]);
+
+  // Keep this tab's undo history across reloads, once the backend it belongs to has loaded
+  useEffect(() => {
+    if (storageState.status !== 'ready') return;
+    saveHistory(storageConfig, data.history);
+  }, [data.history, storageConfig, storageState.status]);
+
+  // Keep today's report snapshot in step with the workspace. Waits for the backend so
+  // snapshots loaded from storage are extended rather than replaced.
+  useEffect(() => {
+    if (storageState.status === 'loading') return;
+    setData(prev => {
+      const snapshots = recordSnapshot(prev.snapshots, buildDailySnapshot(prev, toDateKey(new Date())));
+      return snapshots === prev.snapshots ? prev : { ...prev, snapshots };
+    });
+  }, [data.projects, data.tasks, data.teamMembers, storageState.status]);
+
+  // Keep the rendered view in step with the URL, including browser back/forward
+  useEffect(() => {
+    const handleHashChange = () => setData(prev => ({ ...prev, ...parseRoute(window.location.hash) }));
+    if (!window.location.hash) window.history.replaceState(null, '', `#${DEFAULT_ROUTE}`);
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  // --- Cross-Tab Sync ---
+
+  // Changes from other tabs are merged record by record (see mergeRemoteChanges). They bypass the
+  // undo history, which holds only this tab's changes; entries touching a record another tab changed
+  // are flagged so undoing them cannot overwrite that tab's work.
+  const [tabId] = useState(() => createId('tab'));
+  const syncChannelRef = useRef(null);
+  // What this tab last shared: { workspace, activityIds }. Null until the backend has loaded.
+  const syncedRef = useRef(null);
+
+  const postSyncChanges = useCallback((changes, activity = []) => {
+    syncChannelRef.current.post({ tabId, sentAt: Date.now(), changes, activity });
+  }, [tabId]);
+
+  useEffect(() => {
+    const handleMessage = ({ tabId: senderId, changes, activity }) => {
+      if (senderId === tabId) return;
+      setData(prev => {
+        const synced = syncedRef.current;
+        if (!synced) return prev;
+        const { workspace, conflicts, applied } = mergeRemoteChanges(pickWorkspace(prev), changes);
+        // Conflicting records keep their local version as the shared one, so they are not sent back
+        synced.workspace = copyChangedRecords(synced.workspace, workspace, changes);
+
+        const knownIds = new Set(prev.activity.map(entry => entry.id));
+        const remoteEntries = activity.filter(entry => !knownIds.has(entry.id));
+        remoteEntries.forEach(entry => synced.activityIds.add(entry.id));
+
+        const conflictKeys = new Set(conflicts.map(c => `${c.collection}:${c.id}`));
+        return {
+          ...prev,
+          ...workspace,
+          activity: appendActivity(prev.activity, remoteEntries),
+          history: markChangedElsewhere(prev.history, applied),
+          syncConflicts: conflicts.length
+            ? [...prev.syncConflicts.filter(c => !conflictKeys.has(`${c.collection}:${c.id}`)), ...conflicts]
+            : prev.syncConflicts,
+        };
+      });
+    };
+    syncChannelRef.current = createSyncChannel(handleMessage);
+    return () => syncChannelRef.current.close();
+  }, [tabId]);
+
+  // Share local changes with the other tabs. Sharing starts once the backend has loaded,
+  // so a workspace read from storage is never announced as a change.
+  useEffect(() => {
+    if (storageState.status === 'loading') {
+      syncedRef.current = null;
+      return;
+    }
+    const workspace = pickWorkspace(data);
+    if (!syncedRef.current) {
+      syncedRef.current = { workspace, activityIds: new Set(data.activity.map(entry => entry.id)) };
+      return;
+    }
+    const synced = syncedRef.current;
+    const changes = diffWorkspaceRecords(synced.workspace, workspace);
+    const activity = data.activity.filter(entry => !synced.activityIds.has(entry.id));
+    if (changes.length === 0 && activity.length === 0) return;
+
+    synced.workspace = workspace;
+    activity.forEach(entry => synced.activityIds.add(entry.id));
+    postSyncChanges(changes, activity);
+  }, [data.projects, data.tasks, data.teamMembers, data.workflow, data.savedViews, data.templates, data.activity, storageState.status, postSyncChanges]);
+
+  // Take the other tab's version, or push this tab's version over it
+  const handleResolveConflict = (conflict, useRemote) => {
+    setData(prev => ({ ...prev, syncConflicts: prev.syncConflicts.filter(c => c !== conflict) }));
+    if (useRemote) {
+      commitChange('Accept change from another tab', prev => ({
+        ...prev,
+        [conflict.collection]: conflict.id === null
+          ? conflict.remote
+          : replaceRecord(prev[conflict.collection], conflict.id, conflict.remote),
+      }));
+    } else {
+      const local = findSyncRecord(pickWorkspace(data), conflict.collection, conflict.id);
+      postSyncChanges([{ collection: conflict.collection, id: conflict.id, before: conflict.remote, after: local }]);
+      // The next save writes this tab's version over the one the conflict was raised against
+      if (savedRef.current) {
+        savedRef.current = {
+          ...savedRef.current,
+          [conflict.collection]: conflict.id === null
+            ? conflict.remote
+            : replaceRecord(savedRef.current[conflict.collection], conflict.id, conflict.remote),
+        };
+      }
+    }
+  };
+
+  // --- Notifications ---
+
+  const [notifications, setNotifications] = useState(loadNotifications);
+  const [notificationPrefs, setNotificationPrefs] = useState(loadNotificationPrefs);
+  // Read when deciding which events are new
+  const notificationsRef = useRef(notifications);
+  notificationsRef.current = notifications;
+  // What the last check compared against: { workspace, activityIds }. Null until the backend has loaded.
+  const notifiedRef = useRef(null);
+
+  const myNotifications = useMemo(
+    () => notifications.filter(n => isNotificationFor(n, currentUser.id)),
+    [notifications, currentUser.id]
+  );
+  const unreadNotificationCount = myNotifications.filter(n => !n.isRead).length;
+
+  useEffect(() => {
+    saveNotifications(notifications);
+  }, [notifications]);
+
+  // Other tabs raise and read notifications too
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key === NOTIFICATIONS_KEY) setNotifications(loadNotifications());
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  // Keep the events the user wants that have not been raised before. Raised keys are remembered
+  // apart from the notifications, so clearing them or reaching the limit does not raise them again.
+  const raiseNotifications = useCallback((candidates) => {
+    const seenKeys = loadSeenNotificationKeys();
+    const knownKeys = new Set([...seenKeys, ...notificationsRef.current.map(n => n.key)]);
+    const fresh = candidates.filter(n => notificationPrefs[n.type] && !knownKeys.has(n.key));
+    if (fresh.length === 0) return;
+    saveSeenNotificationKeys([...seenKeys, ...fresh.map(n => n.key)]);
+    notificationsRef.current = [...fresh, ...notificationsRef.current].slice(0, NOTIFICATION_LIMIT);
+    setNotifications(notificationsRef.current);
+    if (notificationPrefs.browser) {
+      fresh.filter(n => isNotificationFor(n, currentUser.id)).forEach(showBrowserNotification);
+    }
+  }, [notificationPrefs, currentUser.id]);
+
+  // Compare each new version of the workspace with the last one. This starts once the backend has
+  // loaded, so loading a workspace raises only the overdue reminders, and never after a failed load,
+  // when the workspace shown is still the demo data. A failed save keeps it going.
+  const hasLoadedWorkspace = storageState.status === 'ready' || storageState.operation === 'save';
+  useEffect(() => {
+    if (!hasLoadedWorkspace) {
+      notifiedRef.current = null;
+      return;
+    }
+    const workspace = { projects: data.projects, tasks: data.tasks, teamMembers: data.teamMembers };
+    const reminders = buildOverdueReminders(data.tasks, data.projects);
+    if (!notifiedRef.current) {
+      notifiedRef.current = { workspace, activityIds: new Set(data.activity.map(entry => entry.id)) };
+      raiseNotifications(reminders);
+      return;
+    }
+    const notified = notifiedRef.current;
+    const newActivity = data.activity.filter(entry => !notified.activityIds.has(entry.id));
+    newActivity.forEach(entry => notified.activityIds.add(entry.id));
+    const events = detectNotifications(notified.workspace, workspace, newActivity);
+    notified.workspace = workspace;
+    raiseNotifications([...events, ...reminders]);
+  }, [data.projects, data.tasks, data.teamMembers, data.activity, hasLoadedWorkspace, raiseNotifications]);
+
+  const handleOpenNotification = (notification) => {
+    setNotifications(prev => prev.map(n => (n.id === notification.id ? { ...n, isRead: true } : n)));
+    if (notification.path) navigate(notification.path);
+  };
+
+  const handleMarkAllNotificationsRead = () => {
+    setNotifications(prev => prev.map(n => (isNotificationFor(n, currentUser.id) ? { ...n, isRead: true } : n)));
+  };
+
+  // Only clears the current user's notifications; others sharing this browser keep theirs
+  const handleClearNotifications = () => {
+    setNotifications(prev => prev.filter(n => !isNotificationFor(n, currentUser.id)));
+  };
+
+  // Turning on browser notifications asks for permission first and stays off if it is refused
+  const handleChangeNotificationPrefs = async (prefs) => {
+    let nextPrefs = prefs;
+    if (prefs.browser && !notificationPrefs.browser && window.Notification.permission !== 'granted') {
+      try {
+        const permission = await window.Notification.requestPermission();
+        nextPrefs = { ...prefs, browser: permission === 'granted' };
+      } catch (error) {
+        console.error("Error requesting notification permission:", error);
+        nextPrefs = { ...prefs, browser: false };
+      }
+    }
+    saveNotificationPrefs(nextPrefs);
+    setNotificationPrefs(nextPrefs);
+  };
+
+  // Saves are held in the same update that swaps the adapter, so nothing is written to the
+  // new backend before its own workspace has been read
+  const handleChangeStorage = (config) => {
+    saveStorageConfig(config);
+    setStorageState({ status: 'loading', error: null });
+    setStorageConfig(config);
+  };
+
+  // After a failed save, save again so the edits made here since are pushed rather than replaced.
+  // Otherwise a fresh config object reads the backend again.
+  const handleReconnectStorage = () => {
+    if (storageState.status === 'error' && storageState.operation === 'save') {
+      setStorageState({ status: 'ready', error: null });
+    } else {
+      handleChangeStorage({ ...storageConfig });
+    }
+  };
+
+  // --- Core Data Manipulation Logic ---
+
+  // Function to calculate project progress based on tasks (BONUS)
+  // Effort-based projects weight each task by its estimate instead of counting tasks.
+  // Only tasks in a terminal workflow column count as complete.
+  const calculateProjectProgress = useCallback((project, currentTasks, workflow) => {
+    const projectTasks = currentTasks.filter(t => t.projectId === project.id);
+    if (projectTasks.length === 0) return 0;
+
+    const completedTasks = projectTasks.filter(t => isTaskDone(t, workflow));
+    if (project.progressMode === PROGRESS_MODES.EFFORT) {
+      return Math.round((sumEffort(completedTasks) / sumEffort(projectTasks)) * 100);
+    }
+    return Math.round((completedTasks.length / projectTasks.length) * 100);
+  }, []);
+
+  // Derive a project's schedule status from its dates, progress and the state of its tasks
+  const calculateProjectSchedule = useCallback((project, projectTasks, today) => {
+    if (project.progress === 100 || project.status === PROJECT_STATUS.CANCELLED) return null;
+
+    const taskStatuses = projectTasks.map(t => getTaskScheduleStatus(t, today));
+    if (project.dueDate && daysBetween(today, project.dueDate) < 0) return SCHEDULE_STATUS.OVERDUE;
+
+    if (project.dueDate && daysBetween(today, project.dueDate) <= AT_RISK_WINDOW_DAYS) return SCHEDULE_STATUS.AT_RISK;
+    if (taskStatuses.includes(SCHEDULE_STATUS.OVERDUE)) return SCHEDULE_STATUS.AT_RISK;
+
+    // Compare progress against the share of the schedule that has already elapsed
+    if (project.startDate && project.dueDate) {
+      const totalDays = daysBetween(project.startDate, project.dueDate);
+      const elapsedDays = daysBetween(project.startDate, today);
+      if (totalDays > 0 && elapsedDays > 0) {
+        const expectedProgress = Math.min(100, (elapsedDays / totalDays) * 100);
+        if (project.progress < expectedProgress - AT_RISK_PROGRESS_LAG) return SCHEDULE_STATUS.AT_RISK;
+      }
+    }
+
+    if (!project.dueDate && taskStatuses.every(status => status === null)) return null;
+    return SCHEDULE_STATUS.ON_TRACK;
+  }, []);
+
+  // Update projects state with calculated progress
+  // Manually tracked projects keep their progress until they are reverted to automatic
+  const updateProjectProgress = useCallback((updatedTasks = data.tasks) => {
+    setData(prevData => {
+      const updatedProjects = prevData.projects.map(project => {
+        if (project.isManualProgress) return project;
+        const newProgress = calculateProjectProgress(project, updatedTasks, prevData.workflow);
+        return {
+          ...project,
+          progress: newProgress,
+          status: getProjectStatus(project, newProgress),
+        };
+      });
+      // Not logged: recalculated progress follows from the task change already logged in the project's feed
+      return { ...prevData, projects: updatedProjects };
+    });
+  }, [data.tasks, calculateProjectProgress]);
+
+  // Run initial progress calculation when app loads
+  useEffect(() => {
+    updateProjectProgress(data.tasks);
+  }, [updateProjectProgress, data.tasks]);
+
+  // --- Undo / Redo ---
+
+  // Apply a workspace mutation and record the records it touched so the change can be undone
+  const commitChange = useCallback((label, updater) => {
+    setData(prev => {
+      const next = updater(prev);
+      if (next === prev) return prev;
+      return {
+        ...next,
+        history: recordHistory(prev.history, label, pickWorkspace(prev), pickWorkspace(next)),
+        activity: appendActivity(prev.activity, buildActivityEntries(prev, next, label, actorRef.current)),
+      };
+    });
+  }, []);
+
+  // An entry whose records another tab changed since is dropped rather than applied, so undo and
+  // redo only ever set back this tab's own changes. Returns whether the entry was refused.
+  const refuseChangedElsewhere = useCallback((entry, action) => {
+    const changedElsewhere = entry.changes.filter(change => change.isChangedElsewhere);
+    if (changedElsewhere.length === 0) return false;
+    setData(prev => ({
+      ...prev,
+      history: {
+        past: prev.history.past.filter(e => e !== entry),
+        future: prev.history.future.filter(e => e !== entry),
+      },
+    }));
+    const records = changedElsewhere.map(change => describeSyncRecord(change.collection, change.after || change.before));
+    setNotice(`Can't ${action} "${entry.label}": ${records.join(', ')} changed in another tab since. It was removed from the history.`);
+    return true;
+  }, []);
+
+  const handleUndo = useCallback(() => {
+    const entry = data.history.past[data.history.past.length - 1];
+    if (!entry) return;
+    const hint = getHistoryHint(currentUser, entry, true);
+    if (hint) {
+      setNotice(`${hint}.`);
+      return;
+    }
+    if (refuseChangedElsewhere(entry, 'undo')) return;
+    setData(prev => {
+      if (prev.history.past[prev.history.past.length - 1] !== entry) return prev;
+      const workspace = applyHistoryEntry(pickWorkspace(prev), entry, true);
+      return {
+        ...prev,
+        ...workspace,
+        activity: appendActivity(prev.activity, buildActivityEntries(prev, workspace, `Undo: ${entry.label}`, actorRef.current)),
+        history: {
+          past: prev.history.past.slice(0, -1),
+          future: [entry, ...prev.history.future],
+        },
+      };
+    });
+  }, [data.history, currentUser, refuseChangedElsewhere]);
+
+  const handleRedo = useCallback(() => {
+    const entry = data.history.future[0];
+    if (!entry) return;
+    const hint = getHistoryHint(currentUser, entry, false);
+    if (hint) {
+      setNotice(`${hint}.`);
+      return;
+    }
+    if (refuseChangedElsewhere(entry, 'redo')) return;
+    setData(prev => {
+      const [nextEntry, ...remainingFuture] = prev.history.future;
+      if (nextEntry !== entry) return prev;
+      const workspace = applyHistoryEntry(pickWorkspace(prev), entry, false);
+      return {
+        ...prev,
+        ...workspace,
+        activity: appendActivity(prev.activity, buildActivityEntries(prev, workspace, `Redo: ${entry.label}`, actorRef.current)),
+        history: {
+          past: [...prev.history.past, entry],
+          future: remainingFuture,
+        },
+      };
+    });
+  }, [data.history, currentUser, refuseChangedElsewhere]);
+
+  const undoEntry = data.history.past[data.history.past.length - 1];
+  const redoEntry = data.history.future[0];
+  const undoHint = undoEntry && getHistoryHint(currentUser, undoEntry, true);
+  const redoHint = redoEntry && getHistoryHint(currentUser, redoEntry, false);
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes; text fields keep their own undo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (e.target.closest && e.target.closest('input, textarea, select')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        handleRedo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [handleUndo, handleRedo]);
+
+  // Schedule statuses keyed by id, recomputed whenever progress or dates change
+  const scheduleStatuses = useMemo(() => {
+    const today = toDateKey(new Date());
+    const statuses = {};
+    data.tasks.forEach(task => {
+      statuses[task.id] = getTaskScheduleStatus(task, today);
+    });
+    data.projects.forEach(project => {
+      const projectTasks = data.tasks.filter(t => t.projectId === project.id);
+      statuses[project.id] = calculateProjectSchedule(project, projectTasks, today);
+    });
+    return statuses;
+  }, [data.projects, data.tasks, calculateProjectSchedule]);
+
+  // --- Permission Checks ---
+
+  // Handlers re-check permissions because disabled controls are only a hint
+  const isAllowed = (permission) => {
+    if (hasPermission(currentUser, permission)) return true;
+    setNotice(`${getPermissionHint(permission)}.`);
+    return false;
+  };
+
+  const isAllowedToToggle = (taskId) => {
+    const task = data.tasks.find(t => t.id === taskId);
+    if (!task || canToggleTask(currentUser, task)) return true;
+    setNotice('You can only update tasks assigned to you.');
+    return false;
+  };
+
+  // Tasks still waiting on others cannot be completed, whichever control completes them
+  const isUnblocked = (taskId) => {
+    const task = data.tasks.find(t => t.id === taskId);
+    if (!task || !isTaskBlocked(task, data.tasks)) return true;
+    setNotice(`${getBlockedHint(task, data.tasks)}.`);
+    return false;
+  };
+
+  const handleChangeCurrentUser = (userId) => {
+    saveCurrentUserId(userId);
+    setCurrentUserId(userId);
+  };
+
+  // --- Handlers for Dashboard (CRUD) ---
+
+  // With a template the project gets its tasks too; they are dated from the start date, or from today.
+  // Copying an existing project instead works like Duplicate, under the new name and dates.
+  // Form handlers return an error message when they refuse the input.
+  const handleAddProject = (name, startDate, dueDate, { templateId, sourceProjectId } = {}) => {
+    if (!name) return null;
+    const dateError = getDateRangeError(startDate, dueDate);
+    if (dateError) return dateError;
+    if (sourceProjectId) {
+      commitChange('Duplicate project', prev => {
+        const source = prev.projects.find(p => p.id === sourceProjectId);
+        if (!source) return prev;
+        const copy = buildProjectCopy(source, prev, { name, startDate, dueDate });
+        const updatedTasks = [...prev.tasks, ...copy.tasks];
+        updateProjectProgress(updatedTasks);
+        return { ...prev, projects: [...prev.projects, copy.project], tasks: updatedTasks };
+      });
+      return null;
+    }
+    commitChange('Add project', prev => {
+      const template = prev.templates.find(t => t.id === templateId);
+      const projectStart = startDate || (template ? toDateKey(new Date()) : null);
+      const newProject = {
+        id: `p${Date.now()}`,
+        name,
+        status: PROJECT_STATUS.IN_PROGRESS,
+        progress: 0,
+        startDate: projectStart,
+        dueDate: dueDate || (template ? addDays(projectStart, getTemplateDuration(template)) : null),
+      };
+      if (!template) return { ...prev, projects: [...prev.projects, newProject] };
+
+      const updatedTasks = [...prev.tasks, ...buildTasksFromTemplate(template, newProject.id, projectStart, prev)];
+      updateProjectProgress(updatedTasks);
+      return { ...prev, projects: [...prev.projects, newProject], tasks: updatedTasks };
+    });
+    return null;
+  };
+
+  // Copy a project next to the original, keeping its dates
+  const handleDuplicateProject = (projectId) => {
+    commitChange('Duplicate project', prev => {
+      const source = prev.projects.find(p => p.id === projectId);
+      if (!source) return prev;
+      const copy = buildProjectCopy(source, prev, { name: `${source.name} (Copy)` });
+      const updatedTasks = [...prev.tasks, ...copy.tasks];
+      updateProjectProgress(updatedTasks);
+      return { ...prev, projects: [...prev.projects, copy.project], tasks: updatedTasks };
+    });
+  };
+
+  const handleSaveProjectAsTemplate = (projectId, name) => {
+    if (!name.trim()) return;
+    commitChange('Save project as template', prev => {
+      const project = prev.projects.find(p => p.id === projectId);
+      if (!project) return prev;
+      return { ...prev, templates: [...prev.templates, buildTemplateFromProject(project, prev.tasks, prev.teamMembers, name.trim())] };
+    });
+  };
+
+  const handleDeleteTemplate = (templateId) => {
+    if (!isAllowed(PERMISSIONS.DELETE_TEMPLATE)) return;
+    commitChange('Delete template', prev => ({ ...prev, templates: prev.templates.filter(t => t.id !== templateId) }));
+  };
+
+  const handleUpdateProjectDates = (projectId, startDate, dueDate) => {
+    if (!hasPermission(currentUser, PERMISSIONS.EDIT_PROJECT)) return `${getPermissionHint(PERMISSIONS.EDIT_PROJECT)}.`;
+    const dateError = getDateRangeError(startDate, dueDate);
+    if (dateError) return dateError;
+    commitChange('Change project dates', prev => {
+      const updatedProjects = prev.projects.map(p =>
+        p.id === projectId ? { ...p, startDate: startDate || null, dueDate: dueDate || null } : p
+      );
+      return { ...prev, projects: updatedProjects };
+    });
+    return null;
+  };
+
+  const handleDeleteProject = (projectId) => {
+    if (!isAllowed(PERMISSIONS.DELETE_PROJECT)) return;
+    commitChange('Delete project', prev => {
+      const filteredProjects = prev.projects.filter(p => p.id !== projectId);
+      const filteredTasks = prev.tasks.filter(t => t.projectId !== projectId);
+      // Update progress for all remaining projects
+      updateProjectProgress(filteredTasks);
+      return { ...prev, projects: filteredProjects, tasks: filteredTasks };
+    });
+  };
+
+  const handleManualUpdateProgress = (projectId, value) => {
+    if (!isAllowed(PERMISSIONS.OVERRIDE_PROGRESS)) return;
+    const newProgress = clampProgress(value);
+    commitChange('Set progress manually', prev => {
+      const updatedProjects = prev.projects.map(p =>
+        p.id === projectId
+          ? {
+              ...p,
+              progress: newProgress,
+              status: getProjectStatus(p, newProgress),
+              isManualProgress: true,
+            }
+          : p
+      );
+      return { ...prev, projects: updatedProjects };
+    });
+  };
+
+  const handleRevertToAutoProgress = (projectId) => {
+    if (!isAllowed(PERMISSIONS.OVERRIDE_PROGRESS)) return;
+    commitChange('Revert to automatic progress', prev => {
+      const updatedProjects = prev.projects.map(p => {
+        if (p.id !== projectId) return p;
+        const newProgress = calculateProjectProgress(p, prev.tasks, prev.workflow);
+        return {
+          ...p,
+          progress: newProgress,
+          status: getProjectStatus(p, newProgress),
+          isManualProgress: false,
+        };
+      });
+      return { ...prev, projects: updatedProjects };
+    });
+  };
+
+  const handleSetProgressMode = (projectId, progressMode) => {
+    if (!isAllowed(PERMISSIONS.EDIT_PROJECT)) return;
+    commitChange('Change progress calculation', prev => {
+      const updatedProjects = prev.projects.map(p => {
+        if (p.id !== projectId) return p;
+        // A manual override stays in place; the mode applies once tracking is automatic again
+        if (p.isManualProgress) return { ...p, progressMode };
+        const newProgress = calculateProjectProgress({ ...p, progressMode }, prev.tasks, prev.workflow);
+        return {
+          ...p,
+          progressMode,
+          progress: newProgress,
+          status: getProjectStatus(p, newProgress),
+        };
+      });
+      return { ...prev, projects: updatedProjects };
+    });
+  };
+
+  // `status` is On Hold, Cancelled, or anything else to resume tracking the status from progress
+  const handleSetProjectStatus = (projectId, status) => {
+    if (!isAllowed(PERMISSIONS.EDIT_PROJECT)) return;
+    commitChange('Change project status', prev => {
+      const updatedProjects = prev.projects.map(p => {
+        if (p.id !== projectId) return p;
+        if (PAUSED_PROJECT_STATUSES.includes(status)) return { ...p, status };
+        // Resuming hands the status back to the project's progress
+        return { ...p, status: getProjectStatus({ ...p, status: null }, p.progress) };
+      });
+      return { ...prev, projects: updatedProjects };
+    });
+  };
+
+  const handleViewTasks = (projectId) => {
+    navigate(projectTasksPath(projectId));
+  };
+
+  // --- Handlers for Tasks ---
+
+  const handleToggleTask = (taskId) => {
+    if (!isAllowedToToggle(taskId) || !isUnblocked(taskId)) return;
+    commitChange('Toggle task', prev => {
+      // Completing moves the task to the first done column, reopening to the first open one
+      const updatedTasks = prev.tasks.map(t =>
+        t.id === taskId
+          ? { ...t, isComplete: !t.isComplete, status: getDefaultStatus(prev.workflow, !t.isComplete) }
+          : t
+      );
+      // Immediately update project progress after toggling a task (BONUS)
+      updateProjectProgress(updatedTasks);
+      return { ...prev, tasks: updatedTasks };
+    });
+  };
+
+  const handleAddTask = (projectId, { name, assignedToMemberId, startDate, dueDate, estimate, dependsOn = [] }) => {
+    if (!name) return null;
+    const dateError = getDateRangeError(startDate, dueDate);
+    if (dateError) return dateError;
+    const newTask = {
+      id: `t${Date.now()}`,
+      projectId,
+      name,
+      isComplete: false,
+      assignedToMemberId: assignedToMemberId || null,
+      startDate: startDate || null,
+      dueDate: dueDate || null,
+      estimate: parseFloat(estimate) > 0 ? parseFloat(estimate) : null,
+      dependsOn, // A new task cannot be depended on yet, so it cannot close a cycle
+      checklist: [],
+      comments: [],
+    };
+    commitChange('Add task', prev => {
+      const updatedTasks = [...prev.tasks, { ...newTask, status: getDefaultStatus(prev.workflow, false) }];
+      updateProjectProgress(updatedTasks);
+      return { ...prev, tasks: updatedTasks };
+    });
+    return null;
+  };
+
+  // Editing can hand the task to anyone, yourself included, so it needs the same permission as toggling it
+  const handleEditTask = (taskId, { name, assignedToMemberId, startDate, dueDate, estimate, dependsOn = [] }) => {
+    const task = data.tasks.find(t => t.id === taskId);
+    if (task && !canToggleTask(currentUser, task)) return 'You can only update tasks assigned to you.';
+    const dateError = getDateRangeError(startDate, dueDate);
+    if (dateError) return dateError;
+    const cycle = findDependencyCycle(data.tasks, taskId, dependsOn);
+    if (cycle) {
+      const names = cycle.map(id => data.tasks.find(t => t.id === id)?.name || id);
+      return `These dependencies would form a cycle: ${names.join(' → ')}.`;
+    }
+    commitChange('Edit task', prev => {
+      const updatedTasks = prev.tasks.map(t =>
+        t.id === taskId
+          ? {
+              ...t,
+              name: name.trim(),
+              assignedToMemberId: assignedToMemberId || null,
+              startDate: startDate || null,
+              dueDate: dueDate || null,
+              estimate: parseFloat(estimate) > 0 ? parseFloat(estimate) : null,
+              dependsOn,
+            }
+          : t
+      );
+      // Estimates feed effort-based progress, so recalculate after every edit
+      updateProjectProgress(updatedTasks);
+      return { ...prev, tasks: updatedTasks };
+    });
+    return null;
+  };
+
+  const handleUpdateTaskDates = (taskId, startDate, dueDate) => {
+    const task = data.tasks.find(t => t.id === taskId);
+    if (task && !canToggleTask(currentUser, task)) return `${TASK_DATES_HINT}.`;
+    const dateError = getDateRangeError(startDate, dueDate);
+    if (dateError) return dateError;
+    commitChange('Change task dates', prev => {
+      const updatedTasks = prev.tasks.map(t =>
+        t.id === taskId ? { ...t, startDate: startDate || null, dueDate: dueDate || null } : t
+      );
+      return { ...prev, tasks: updatedTasks };
+    });
+    return null;
+  };
+
+  // Apply a set of reassignments at once, e.g. accepted suggestions or a rebalance; `assignments` maps taskId -> memberId
+  // Every task moved must be one the user may update, or members could take over other people's tasks
+  const handleReassignTasks = (assignments, label) => {
+    if (!Object.keys(assignments).every(taskId => isAllowedToToggle(taskId))) return;
+    commitChange(label, prev => {
+      const updatedTasks = prev.tasks.map(t =>
+        t.id in assignments ? { ...t, assignedToMemberId: assignments[t.id] } : t
+      );
+      return { ...prev, tasks: updatedTasks };
+    });
+  };
+
+  // Move a task to another workflow column, e.g. by dragging it on the board
+  const handleMoveTask = (taskId, status) => {
+    if (!isAllowedToToggle(taskId)) return;
+    if (isStatusDone(data.workflow, status) && !isUnblocked(taskId)) return;
+    commitChange('Move task', prev => {
+      const task = prev.tasks.find(t => t.id === taskId);
+      if (!task || task.status === status) return prev;
+      const updatedTasks = prev.tasks.map(t =>
+        t.id === taskId ? { ...t, status, isComplete: isStatusDone(prev.workflow, status) } : t
+      );
+      updateProjectProgress(updatedTasks);
+      return { ...prev, tasks: updatedTasks };
+    });
+  };
+
+  // Replace the workflow columns; tasks in removed columns fall back to the first open or done column.
+  // Marking a column done completes everyone's tasks in it, so this needs more than toggling your own.
+  const handleUpdateWorkflow = (workflow) => {
+    if (!hasPermission(currentUser, PERMISSIONS.MANAGE_WORKFLOW)) return `${getPermissionHint(PERMISSIONS.MANAGE_WORKFLOW)}.`;
+    const errors = validateWorkflow(workflow);
+    if (errors.length) return errors.join(' ');
+    commitChange('Change workflow columns', prev => {
+      const updatedTasks = syncTaskStatuses(prev.tasks, workflow);
+      updateProjectProgress(updatedTasks);
+      return { ...prev, workflow, tasks: updatedTasks };
+    });
+    return null;
+  };
+
+  const handleDeleteTask = (taskId) => {
+    if (!isAllowed(PERMISSIONS.DELETE_TASK)) return;
+    commitChange('Delete task', prev => {
+      // Tasks that waited on the deleted one are no longer blocked by it
+      const updatedTasks = prev.tasks
+        .filter(t => t.id !== taskId)
+        .map(t => (getDependencies(t).includes(taskId) ? { ...t, dependsOn: getDependencies(t).filter(id => id !== taskId) } : t));
+      // Removing a task changes the completion ratio of its project
+      updateProjectProgress(updatedTasks);
+      return { ...prev, tasks: updatedTasks };
+    });
+  };
+
+  // --- Checklist & Comments ---
+
+  // Checklist edits can complete or reopen the task, so they need the same permission as toggling it
+  const changeChecklist = (taskId, label, change) => {
+    if (!isAllowedToToggle(taskId)) return;
+    commitChange(label, prev => {
+      const updatedTasks = prev.tasks.map(t => (t.id === taskId ? withChecklist(t, change(getChecklist(t)), prev.workflow) : t));
+      updateProjectProgress(updatedTasks);
+      return { ...prev, tasks: updatedTasks };
+    });
+  };
+
+  const handleAddChecklistItem = (taskId, text) => {
+    if (!text.trim()) return;
+    changeChecklist(taskId, 'Add checklist item', checklist => [...checklist, { id: createId('c'), text: text.trim(), isDone: false }]);
+  };
+
+  const handleToggleChecklistItem = (taskId, itemId) => {
+    changeChecklist(taskId, 'Toggle checklist item', checklist =>
+      checklist.map(item => (item.id === itemId ? { ...item, isDone: !item.isDone } : item))
+    );
+  };
+
+  const handleDeleteChecklistItem = (taskId, itemId) => {
+    changeChecklist(taskId, 'Delete checklist item', checklist => checklist.filter(item => item.id !== itemId));
+  };
+
+  // Anyone may comment; `parentId` makes the comment a reply
+  const handleAddComment = (taskId, body, parentId = null) => {
+    if (!body.trim()) return;
+    const comment = {
+      id: createId('cm'),
+      parentId,
+      authorId: currentUser.id,
+      authorName: currentUser.name,
+      body: body.trim(),
+      timestamp: new Date().toISOString(),
+    };
+    commitChange('Add comment', prev => ({
+      ...prev,
+      tasks: prev.tasks.map(t => (t.id === taskId ? { ...t, comments: [...getComments(t), comment] } : t)),
+    }));
+  };
+  
+  // --- Handlers for Team Members ---
+  
+  const handleAddTeamMember = (name, capacity, effortCapacity, role = ROLES.MEMBER) => { // Now accepts capacity
+    if (!name || capacity === undefined) return;
+    if (role !== ROLES.MEMBER && !isAllowed(PERMISSIONS.MANAGE_ROLES)) return;
+    const newMember = {
+      id: `m${Date.now()}`,
+      name,
+      maxCapacity: Math.max(1, capacity), // Ensure capacity is at least 1
+      maxEffort: parseFloat(effortCapacity) > 0 ? parseFloat(effortCapacity) : null, // Falls back to maxCapacity
+      availability: DEFAULT_AVAILABILITY,
+      role,
+    };
+    commitChange('Add team member', prev => ({ ...prev, teamMembers: [...prev.teamMembers, newMember] }));
+  };
+
+  // The member's tasks are handed off rather than deleted, so no project loses progress
+  const handleDeleteTeamMember = (memberId, handoff) => {
+    if (!isAllowed(PERMISSIONS.DELETE_MEMBER)) return;
+    commitChange('Delete team member', prev => {
+      const updatedMembers = prev.teamMembers.filter(m => m.id !== memberId);
+      const newAssignees = planMemberHandoff(memberId, handoff, prev.teamMembers, prev.tasks);
+      const updatedTasks = prev.tasks.map(t =>
+        t.id in newAssignees ? { ...t, assignedToMemberId: newAssignees[t.id] } : t
+      );
+
+      return { 
+          ...prev, 
+          teamMembers: updatedMembers, 
+          tasks: updatedTasks 
+      };
+    });
+  };
+
+  const handleEditTeamMember = (memberId, newName, newCapacity, newEffortCapacity, newAvailability, newRole) => {
+    const member = data.teamMembers.find(m => m.id === memberId);
+    if (newRole && member && newRole !== member.role && !isAllowed(PERMISSIONS.MANAGE_ROLES)) return;
+    commitChange('Edit team member', prev => {
+      const updatedMembers = prev.teamMembers.map(m => {
+        if (m.id === memberId) {
+          // Ensure capacity is a positive integer
+          const safeCapacity = Math.max(1, parseInt(newCapacity) || 1);
+          return {
+            ...m,
+            name: newName.trim(),
+            maxCapacity: safeCapacity,
+            maxEffort: parseFloat(newEffortCapacity) > 0 ? parseFloat(newEffortCapacity) : null,
+            availability: newAvailability || getAvailability(m),
+            role: newRole || m.role,
+          };
+        }
+        return m;
+      });
+      return { ...prev, teamMembers: updatedMembers };
+    });
+  };
+
+  // --- Handlers for Filters & Saved Views ---
+
+  // Filters are part of the URL, so changing them rewrites the current route
+  const handleChangeFilters = (defaults) => (filters) => {
+    replaceRoute(withFilters(getRoutePath(), filters, defaults));
+  };
+
+  const handleSaveView = (name) => {
+    const newView = { id: `v${Date.now()}`, name, path: window.location.hash.replace(/^#/, '') || DEFAULT_ROUTE };
+    commitChange('Save view', prev => ({ ...prev, savedViews: [...prev.savedViews, newView] }));
+  };
+
+  const handleDeleteView = (viewId) => {
+    commitChange('Delete saved view', prev => ({ ...prev, savedViews: prev.savedViews.filter(v => v.id !== viewId) }));
+  };
+
+  // --- Handlers for Import ---
+
+  const handleImportWorkspace = (workspace) => {
+    if (!isAllowed(PERMISSIONS.IMPORT_DATA)) return;
+    commitChange('Import data', prev => {
+      // Imported CSV rows may carry only `isComplete`, so place every task in a column
+      const tasks = syncTaskStatuses(workspace.tasks, workspace.workflow);
+      updateProjectProgress(tasks);
+      return { ...prev, ...pickWorkspace(workspace), tasks };
+    });
+  };
+
+  // --- Confirmation for Destructive Actions ---
+
+  const requestDeleteProject = (projectId) => {
+    if (!isAllowed(PERMISSIONS.DELETE_PROJECT)) return;
+    const project = data.projects.find(p => p.id === projectId);
+    const taskCount = data.tasks.filter(t => t.projectId === projectId).length;
+    setConfirmation({
+      title: 'Delete project?',
+      message: `"${project.name}" and its ${taskCount} task${taskCount === 1 ? '' : 's'} will be removed. You can undo this afterwards.`,
+      confirmLabel: 'Delete Project',
+      onConfirm: () => handleDeleteProject(projectId),
+    });
+  };
+
+  const requestDeleteTeamMember = (memberId) => {
+    if (!isAllowed(PERMISSIONS.DELETE_MEMBER)) return;
+    setMemberPendingDeletion(memberId);
+  };
+
+  // Another tab may delete the member while the dialog is open; close it rather than act on a stale member
+  const memberToDelete = data.teamMembers.find(m => m.id === memberPendingDeletion);
+  useEffect(() => {
+    if (memberPendingDeletion && !memberToDelete) setMemberPendingDeletion(null);
+  }, [memberPendingDeletion, memberToDelete]);
+
+  // --- Navigation Component ---
+
+  // Called as a function rather than rendered as a component: a component defined inside App would be
+  // a new type on every render, remounting StorageSettings and losing the settings being typed
+  const renderSidebar = () => (
+    <nav className="p-4 space-y-2 bg-white border-r border-gray-200">
+      <div className="flex items-center justify-center p-3 mb-6 font-mono text-xl font-bold text-gray-800 bg-gray-50 rounded-lg">
+        VZNX
+      </div>
+
+      <label className="block px-1 mb-4 text-xs text-gray-500">
+        <span className="block mb-1 font-semibold uppercase">Signed in as</span>
+        <select
+          value={currentUser.id || ''}
+          onChange={(e) => handleChangeCurrentUser(e.target.value)}
+          disabled={data.teamMembers.length === 0}
+          className="w-full p-2 text-sm text-gray-700 border border-gray-300 rounded-lg"
+        >
+          {data.teamMembers.length === 0 && <option value="">{currentUser.name}</option>}
+          {data.teamMembers.map(member => (
+            <option key={member.id} value={member.id}>{member.name}</option>
+          ))}
+        </select>
+        <span className="block mt-1">Role: {ROLE_LABELS[currentUser.role]}</span>
+      </label>
+
+      <button
+        onClick={() => navigate('/projects')}
+        className={`flex items-center w-full p-3 rounded-xl text-sm transition-colors ${
+          data.activeView === 'dashboard'
+            ? 'bg-blue-600 text-white shadow-md'
+            : 'text-gray-600 hover:bg-gray-100'
+        }`}
+      >
+        <List className="w-5 h-5 mr-3" />
+        Project Dashboard
+      </button>
+
+      <button
+        onClick={() => navigate('/timeline')}
+        className={`flex items-center w-full p-3 rounded-xl text-sm transition-colors ${
+          data.activeView === 'timeline'
+            ? 'bg-blue-600 text-white shadow-md'
+            : 'text-gray-600 hover:bg-gray-100'
+        }`}
+      >
+        <Calendar className="w-5 h-5 mr-3" />
+        Timeline
+      </button>
+
+      <button
+        onClick={() => navigate('/reports')}
+        className={`flex items-center w-full p-3 rounded-xl text-sm transition-colors ${
+          data.activeView === 'reports'
+            ? 'bg-blue-600 text-white shadow-md'
+            : 'text-gray-600 hover:bg-gray-100'
+        }`}
+      >
+        <BarChart2 className="w-5 h-5 mr-3" />
+        Reports
+      </button>
+
+      <button
+        onClick={() => navigate('/team')}
+        className={`flex items-center w-full p-3 rounded-xl text-sm transition-colors ${
+          data.activeView === 'team' || data.activeView === 'member'
+            ? 'bg-blue-600 text-white shadow-md'
+            : 'text-gray-600 hover:bg-gray-100'
+        }`}
+      >
+        <Users className="w-5 h-5 mr-3" />
+        Team Overview
+      </button>
+
+      <button
+        onClick={() => navigate('/notifications')}
+        className={`flex items-center w-full p-3 rounded-xl text-sm transition-colors ${
+          data.activeView === 'notifications'
+            ? 'bg-blue-600 text-white shadow-md'
+            : 'text-gray-600 hover:bg-gray-100'
+        }`}
+      >
+        <Bell className="w-5 h-5 mr-3" />
+        Notifications
+        {unreadNotificationCount > 0 && (
+          <span
+            title={`${unreadNotificationCount} unread`}
+            className="px-2 py-0.5 ml-auto text-xs font-semibold text-white bg-red-500 rounded-full"
+          >
+            {unreadNotificationCount}
+          </span>
+        )}
+      </button>
+
+      <button
+        onClick={() => navigate('/data')}
+        className={`flex items-center w-full p-3 rounded-xl text-sm transition-colors ${
+          data.activeView === 'data'
+            ? 'bg-blue-600 text-white shadow-md'
+            : 'text-gray-600 hover:bg-gray-100'
+        }`}
+      >
+        <Download className="w-5 h-5 mr-3" />
+        Import / Export
+      </button>
+
+      {(data.activeView === 'tasks' || data.activeView === 'board') && (
+        <button
+          onClick={() => navigate(projectTasksPath(data.selectedProjectId))}
+          className="flex items-center w-full p-3 text-sm text-white bg-blue-700 rounded-xl shadow-md"
+        >
+          <Aperture className="w-5 h-5 mr-3" />
+          Current Project Tasks
+        </button>
+      )}
+
+      {data.savedViews.length > 0 && (
+        <div className="pt-4 mt-4 border-t border-gray-200">
+          <p className="px-3 mb-2 text-xs font-semibold text-gray-400 uppercase">Saved Views</p>
+          {data.savedViews.map(view => (
+            <div key={view.id} className="flex items-center group">
+              <button
+                onClick={() => navigate(view.path)}
+                title={view.path}
+                className={`flex items-center flex-grow min-w-0 p-2 rounded-lg text-sm transition-colors ${
+                  window.location.hash === `#${view.path}` ? 'bg-blue-50 text-blue-700' : 'text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                <Bookmark className="flex-shrink-0 w-4 h-4 mr-2" />
+                <span className="truncate">{view.name}</span>
+              </button>
+              <button
+                onClick={() => handleDeleteView(view.id)}
+                title="Delete Saved View"
+                className="p-1 text-gray-400 rounded hover:text-red-600"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <StorageSettings
+        config={storageConfig}
+        storageState={storageState}
+        onChange={handleChangeStorage}
+        onReconnect={handleReconnectStorage}
+      />
+    </nav>
+  );
+
+  // --- View Selector ---
+
+  const renderContent = () => {
+    if (storageState.status === 'loading') {
+      return <div className="p-8 text-center text-gray-500">Loading workspace…</div>;
+    }
+    switch (data.activeView) {
+      case 'tasks': {
+        // Ensure we have a valid project selected when viewing tasks
+        const project = data.projects.find(p => p.id === data.selectedProjectId);
+        if (!project) return <div className="p-8 text-center text-gray-500">Project not found or invalid selection.</div>;
+        return (
+          <TaskList
+            currentUser={currentUser}
+            project={project}
+            tasks={data.tasks.filter(t => t.projectId === project.id)}
+            teamMembers={data.teamMembers}
+            scheduleStatuses={scheduleStatuses}
+            onToggleTask={handleToggleTask}
+            onAddTask={handleAddTask}
+            onEditTask={handleEditTask}
+            onDeleteTask={handleDeleteTask}
+            onAddChecklistItem={handleAddChecklistItem}
+            onToggleChecklistItem={handleToggleChecklistItem}
+            onDeleteChecklistItem={handleDeleteChecklistItem}
+            onAddComment={handleAddComment}
+            onReassignTasks={handleReassignTasks}
+            allTasks={data.tasks}
+            projects={data.projects}
+            workflow={data.workflow}
+            activity={getProjectActivity(data.activity, project.id)}
+            filters={readFilters(data.routeFilters, TASK_FILTER_DEFAULTS)}
+            onFiltersChange={handleChangeFilters(TASK_FILTER_DEFAULTS)}
+            onSaveView={handleSaveView}
+            onShowBoard={() => navigate(projectBoardPath(project.id))}
+            onBack={() => navigate('/projects')}
+          />
+        );
+      }
+      case 'board': {
+        const boardProject = data.projects.find(p => p.id === data.selectedProjectId);
+        if (!boardProject) return <div className="p-8 text-center text-gray-500">Project not found or invalid selection.</div>;
+        return (
+          <TaskBoard
+            currentUser={currentUser}
+            project={boardProject}
+            tasks={data.tasks.filter(t => t.projectId === boardProject.id)}
+            teamMembers={data.teamMembers}
+            workflow={data.workflow}
+            scheduleStatuses={scheduleStatuses}
+            onMoveTask={handleMoveTask}
+            onUpdateWorkflow={handleUpdateWorkflow}
+            onShowList={() => navigate(projectTasksPath(boardProject.id))}
+            onBack={() => navigate('/projects')}
+          />
+        );
+      }
+      case 'team':
+        return <TeamOverview 
+          currentUser={currentUser}
+          tasks={data.tasks} 
+          teamMembers={data.teamMembers} 
+          onAddTeamMember={handleAddTeamMember}
+          onDeleteTeamMember={requestDeleteTeamMember}
+          onEditTeamMember={handleEditTeamMember} // Pass the new edit handler
+          onReassignTasks={handleReassignTasks}
+          projects={data.projects}
+        />;
+      case 'member': {
+        // Ensure the member addressed by the URL still exists
+        const member = data.teamMembers.find(m => m.id === data.selectedMemberId);
+        if (!member) return <div className="p-8 text-center text-gray-500">Team member not found or invalid selection.</div>;
+        return (
+          <MemberDetail
+            currentUser={currentUser}
+            member={member}
+            tasks={data.tasks.filter(t => t.assignedToMemberId === member.id)}
+            allTasks={data.tasks}
+            projects={data.projects}
+            scheduleStatuses={scheduleStatuses}
+            activity={getMemberActivity(data.activity, member.id)}
+            onToggleTask={handleToggleTask}
+            onBack={() => navigate('/team')}
+          />
+        );
+      }
+      case 'timeline':
+        return (
+          <Timeline
+            currentUser={currentUser}
+            projects={data.projects}
+            tasks={data.tasks}
+            scheduleStatuses={scheduleStatuses}
+            onUpdateProjectDates={handleUpdateProjectDates}
+            onUpdateTaskDates={handleUpdateTaskDates}
+            onViewTasks={handleViewTasks}
+          />
+        );
+      case 'reports':
+        return (
+          <Reports
+            projects={data.projects}
+            teamMembers={data.teamMembers}
+            snapshots={data.snapshots}
+            activity={data.activity}
+          />
+        );
+      case 'notifications':
+        return (
+          <NotificationCenter
+            notifications={myNotifications}
+            prefs={notificationPrefs}
+            onOpen={handleOpenNotification}
+            onMarkAllRead={handleMarkAllNotificationsRead}
+            onClear={handleClearNotifications}
+            onChangePrefs={handleChangeNotificationPrefs}
+          />
+        );
+      case 'data':
+        return (
+          <ImportExport
+            currentUser={currentUser}
+            workspace={pickWorkspace(data)}
+            onImport={handleImportWorkspace}
+          />
+        );
+      case 'dashboard':
+      default:
+        return (
+          <ProjectDashboard
+            currentUser={currentUser}
+            projects={data.projects}
+            tasks={data.tasks}
+            teamMembers={data.teamMembers}
+            scheduleStatuses={scheduleStatuses}
+            filters={readFilters(data.routeFilters, PROJECT_FILTER_DEFAULTS)}
+            onFiltersChange={handleChangeFilters(PROJECT_FILTER_DEFAULTS)}
+            onSaveView={handleSaveView}
+            templates={data.templates}
+            onAddProject={handleAddProject}
+            onDuplicateProject={handleDuplicateProject}
+            onSaveAsTemplate={handleSaveProjectAsTemplate}
+            onDeleteTemplate={handleDeleteTemplate}
+            onUpdateProjectDates={handleUpdateProjectDates}
+            onDeleteProject={requestDeleteProject}
+            onManualUpdateProgress={handleManualUpdateProgress}
+            onSetProgressMode={handleSetProgressMode}
+            onRevertToAutoProgress={handleRevertToAutoProgress}
+            onSetProjectStatus={handleSetProjectStatus}
+            onViewTasks={handleViewTasks}
+          />
+        );
+    }
+  };
+
+  return (
+    <div className="flex h-screen overflow-hidden bg-gray-50 font-sans">
+      <div className="w-64 flex-shrink-0">
+        {renderSidebar()}
+      </div>
+      <main className="flex-1 p-8 overflow-y-auto">
+        {storageState.status === 'error' && (
+          <div className="p-4 mb-6 text-sm text-red-800 bg-red-50 border border-red-200 rounded-xl">
+            Workspace storage is unavailable ({storageState.error}). Changes are not being saved;
+            pick another backend in the sidebar or reconnect to retry.
+          </div>
+        )}
+        {notice && (
+          <div role="alert" className="flex items-start justify-between p-4 mb-6 text-sm text-red-800 bg-red-50 border border-red-200 rounded-xl">
+            <span>{notice}</span>
+            <button onClick={() => setNotice(null)} title="Dismiss" className="ml-4 text-red-700 hover:text-red-900">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+        {data.syncConflicts.length > 0 && (
+          <div className="p-4 mb-6 text-sm text-orange-800 bg-orange-50 border border-orange-200 rounded-xl">
+            <p className="mb-2 font-semibold">Another tab or user changed records that were also changed here:</p>
+            <ul className="space-y-2">
+              {data.syncConflicts.map(conflict => (
+                <li key={`${conflict.collection}:${conflict.id}`} className="flex flex-wrap items-center justify-between gap-2">
+                  <span>
+                    {describeSyncRecord(conflict.collection, conflict.local || conflict.remote)}
+                    {!conflict.remote && ' (deleted in the other tab)'}
+                    {!conflict.local && ' (deleted here)'}
+                  </span>
+                  <span className="flex space-x-2">
+                    <button
+                      onClick={() => handleResolveConflict(conflict, false)}
+                      className="px-3 py-1 text-xs text-orange-800 bg-white border border-orange-300 rounded-lg hover:bg-orange-100"
+                    >
+                      Keep Mine
+                    </button>
+                    <button
+                      onClick={() => handleResolveConflict(conflict, true)}
+                      className="px-3 py-1 text-xs text-white bg-orange-500 rounded-lg hover:bg-orange-600"
+                    >
+                      Use Theirs
+                    </button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {backupKey && (
+          <div className="flex items-start justify-between p-4 mb-6 text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-xl">
+            <span>
+              Your saved workspace could not be read by this version of the app, so nothing will be saved over it.
+              A copy was also kept as a backup named <code className="font-mono">{backupKey}</code>.
+            </span>
+            <button onClick={() => setBackupKey(null)} title="Dismiss" className="ml-4 text-yellow-700 hover:text-yellow-900">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+        <div className="flex items-center justify-between mb-8">
+          <h1 className="text-3xl font-extrabold text-gray-900">
+            {searchQuery.trim() && 'Search'}
+            {!searchQuery.trim() && data.activeView === 'dashboard' && 'Project Dashboard'}
+            {!searchQuery.trim() && data.activeView === 'tasks' && 'Project Task List'}
+            {!searchQuery.trim() && data.activeView === 'board' && 'Project Board'}
+            {!searchQuery.trim() && data.activeView === 'timeline' && 'Timeline'}
+            {!searchQuery.trim() && data.activeView === 'reports' && 'Reports'}
+            {!searchQuery.trim() && data.activeView === 'team' && 'Team Overview'}
+            {!searchQuery.trim() && data.activeView === 'member' && 'Team Member'}
+            {!searchQuery.trim() && data.activeView === 'notifications' && 'Notifications'}
+            {!searchQuery.trim() && data.activeView === 'data' && 'Import / Export'}
+          </h1>
+          <div className="flex space-x-2">
+            <ConnectionStatus isOnline={isOnline} pendingCount={pendingCount} onRetry={flushOutbox} />
+            <label className="flex items-center px-3 py-2 text-sm bg-white border border-gray-200 rounded-lg shadow-sm">
+              <Search className="w-4 h-4 mr-2 text-gray-400" />
+              <input
+                type="search"
+                placeholder="Search projects, tasks, people..."
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                className="w-56 outline-none"
+              />
+            </label>
+            <button
+              onClick={handleUndo}
+              disabled={!undoEntry || !!undoHint}
+              title={undoEntry ? undoHint || `Undo: ${undoEntry.label} (Ctrl+Z)` : 'Nothing to undo'}
+              className="flex items-center px-3 py-2 text-sm text-gray-700 bg-white border border-gray-200 rounded-lg shadow-sm hover:bg-gray-100 transition disabled:opacity-40"
+            >
+              <Undo2 className="w-4 h-4 mr-1" /> Undo
+            </button>
+            <button
+              onClick={handleRedo}
+              disabled={!redoEntry || !!redoHint}
+              title={redoEntry ? redoHint || `Redo: ${redoEntry.label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+              className="flex items-center px-3 py-2 text-sm text-gray-700 bg-white border border-gray-200 rounded-lg shadow-sm hover:bg-gray-100 transition disabled:opacity-40"
+            >
+              <Redo2 className="w-4 h-4 mr-1" /> Redo
+            </button>
+          </div>
+        </div>
+        {searchQuery.trim() ? (
+          <SearchResults
+            results={searchWorkspace(data, searchQuery)}
+            projects={data.projects}
+            teamMembers={data.teamMembers}
+            onOpen={(path) => {
+              setSearchQuery('');
+              navigate(path);
+            }}
+          />
+        ) : renderContent()}
+      </main>
+      {confirmation && (
+        <ConfirmDialog
+          {...confirmation}
+          onConfirm={() => {
+            confirmation.onConfirm();
+            setConfirmation(null);
+          }}
+          onCancel={() => setConfirmation(null)}
+        />
+      )}
+      {memberToDelete && (
+        <DeleteMemberDialog
+          member={memberToDelete}
+          teamMembers={data.teamMembers}
+          tasks={data.tasks}
+          projects={data.projects}
+          onConfirm={(handoff) => {
+            handleDeleteTeamMember(memberPendingDeletion, handoff);
+            setMemberPendingDeletion(null);
+          }}
+          onCancel={() => setMemberPendingDeletion(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+// --- Search Results Component ---
+
+const SearchResults = ({ results, projects, teamMembers, onOpen }) => {
+  const getProjectName = (id) => projects.find(p => p.id === id)?.name || 'Unknown project';
+  const getMemberName = (id) => teamMembers.find(m => m.id === id)?.name || 'Unassigned';
+  const total = results.projects.length + results.tasks.length + results.teamMembers.length;
+
+  const renderGroup = (title, items, renderItem) => items.length > 0 && (
+    <div className="mb-6">
+      <h3 className="mb-2 text-sm font-semibold text-gray-500 uppercase">{title} ({items.length})</h3>
+      <div className="space-y-2">{items.map(renderItem)}</div>
+    </div>
+  );
+
+  const resultClass = "flex items-center justify-between w-full p-3 text-left bg-white border border-gray-200 rounded-lg hover:bg-blue-50 transition";
+
+  return (
+    <Card>
+      {total === 0 && <p className="text-gray-500">Nothing matches your search.</p>}
+      {renderGroup('Projects', results.projects, project => (
+        <button key={project.id} onClick={() => onOpen(projectTasksPath(project.id))} className={resultClass}>
+          <span className="font-medium text-gray-800">{project.name}</span>
+          <span className="text-sm text-gray-500">{project.status} · {project.progress}%</span>
+        </button>
+      ))}
+      {renderGroup('Tasks', results.tasks, task => (
+        <button key={task.id} onClick={() => onOpen(projectTasksPath(task.projectId))} className={resultClass}>
+          <span className={task.isComplete ? 'line-through text-gray-500' : 'font-medium text-gray-800'}>{task.name}</span>
+          <span className="text-sm text-gray-500">{getProjectName(task.projectId)} · {getMemberName(task.assignedToMemberId)}</span>
+        </button>
+      ))}
+      {renderGroup('Team Members', results.teamMembers, member => (
+        <button key={member.id} onClick={() => onOpen(memberPath(member.id))} className={resultClass}>
+          <span className="font-medium text-gray-800">{member.name}</span>
+          <Users className="w-4 h-4 text-gray-400" />
+        </button>
+      ))}
+    </Card>
+  );
+};
+
+// --- Storage Settings Component ---
+
+const StorageSettings = ({ config, storageState, onChange, onReconnect }) => {
+  const [backend, setBackend] = useState(config.backend);
+  const [baseUrl, setBaseUrl] = useState(config.baseUrl);
+
+  const isHttp = backend === STORAGE_BACKENDS.HTTP;
+  const canApply = !isHttp || baseUrl.trim() !== '';
+
+  const isUnchanged = backend === config.backend && baseUrl.trim() === config.baseUrl;
+
+  const handleApply = () => {
+    if (isUnchanged) {
+      onReconnect();
+    } else {
+      onChange({ backend, baseUrl: baseUrl.trim() });
+    }
+  };
+
+  return (
+    <div className="pt-6 mt-6 space-y-2 text-xs border-t border-gray-100">
+      <p className="font-semibold text-gray-500 uppercase">Storage</p>
+      <select
+        value={backend}
+        onChange={(e) => setBackend(e.target.value)}
+        className="w-full p-2 border border-gray-300 rounded-lg text-xs"
+      >
+        {Object.values(STORAGE_BACKENDS).map(value => (
+          <option key={value} value={value}>{STORAGE_BACKEND_LABELS[value]}</option>
+        ))}
+      </select>
+      {isHttp && (
+        <input
+          type="url"
+          placeholder="https://example.com/api"
+          value={baseUrl}
+          onChange={(e) => setBaseUrl(e.target.value)}
+          className="w-full p-2 border border-gray-300 rounded-lg text-xs"
+        />
+      )}
+      <button
+        onClick={handleApply}
+        disabled={!canApply}
+        className="w-full py-2 text-white bg-gray-700 rounded-lg hover:bg-gray-800 transition disabled:opacity-50"
+      >
+        {isUnchanged ? 'Reconnect' : 'Switch Storage'}
+      </button>
+      <p className={storageState.status === 'error' ? 'text-red-600' : 'text-gray-500'}>
+        {storageState.status === 'loading' && 'Loading workspace…'}
+        {storageState.status === 'ready' && `Saved to ${STORAGE_BACKEND_LABELS[config.backend]}`}
+        {storageState.status === 'error' && 'Storage unavailable'}
+      </p>
+    </div>
+  );
+};
+
+// --- Project Dashboard Component ---
+
+const PROJECT_SORT_OPTIONS = [
+  { value: 'default', label: 'Date Added' },
+  { value: 'schedule', label: 'Schedule Status' },
+  { value: 'dueDate', label: 'Due Date' },
+  { value: 'progress', label: 'Progress' },
+  { value: 'name', label: 'Name' },
+];
+
+const PROJECT_STATUS_CLASSES = {
+  [PROJECT_STATUS.IN_PROGRESS]: 'bg-yellow-100 text-yellow-700',
+  [PROJECT_STATUS.COMPLETED]: 'bg-green-100 text-green-700',
+  [PROJECT_STATUS.ON_HOLD]: 'bg-gray-200 text-gray-700',
+  [PROJECT_STATUS.CANCELLED]: 'bg-red-100 text-red-700',
+};
+
+const ProjectDashboard = ({ currentUser, projects, tasks, teamMembers, scheduleStatuses, filters, onFiltersChange, onSaveView, templates, onAddProject, onDuplicateProject, onSaveAsTemplate, onDeleteTemplate, onDeleteProject, onManualUpdateProgress, onSetProgressMode, onRevertToAutoProgress, onSetProjectStatus, onUpdateProjectDates, onViewTasks }) => {
+  const [newProjectName, setNewProjectName] = useState('');
+  const [newProjectStartDate, setNewProjectStartDate] = useState('');
+  const [newProjectDueDate, setNewProjectDueDate] = useState('');
+  // Empty for a blank project, otherwise 'template:<id>' or 'project:<id>' to copy an existing project
+  const [newProjectSource, setNewProjectSource] = useState('');
+  const [addError, setAddError] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [editProgress, setEditProgress] = useState(0);
+
+  // State for the schedule editor
+  const [schedulingId, setSchedulingId] = useState(null);
+  const [editStartDate, setEditStartDate] = useState('');
+  const [editDueDate, setEditDueDate] = useState('');
+  const [scheduleError, setScheduleError] = useState(null);
+
+  // State for naming a new template
+  const [templatingId, setTemplatingId] = useState(null);
+  const [templateName, setTemplateName] = useState('');
+
+  const visibleProjects = useMemo(
+    () => filterProjects(projects, tasks, teamMembers, scheduleStatuses, filters),
+    [projects, tasks, teamMembers, scheduleStatuses, filters]
+  );
+
+  const canDeleteProjects = hasPermission(currentUser, PERMISSIONS.DELETE_PROJECT);
+  const canDeleteTemplates = hasPermission(currentUser, PERMISSIONS.DELETE_TEMPLATE);
+  const canOverrideProgress = hasPermission(currentUser, PERMISSIONS.OVERRIDE_PROGRESS);
+  const canEditProjects = hasPermission(currentUser, PERMISSIONS.EDIT_PROJECT);
+
+  const setFilter = (key, value) => onFiltersChange({ ...filters, [key]: value });
+  const hasFilters = Object.keys(PROJECT_FILTER_DEFAULTS).some(key => String(filters[key]) !== String(PROJECT_FILTER_DEFAULTS[key]));
+
+  const handleStartEdit = (project) => {
+    setSchedulingId(null);
+    setTemplatingId(null);
+    setEditingId(project.id);
+    setEditProgress(project.progress);
+  };
+
+  const handleSaveEdit = (projectId) => {
+    onManualUpdateProgress(projectId, editProgress);
+    setEditingId(null);
+  };
+
+  const handleStartSchedule = (project) => {
+    setEditingId(null);
+    setTemplatingId(null);
+    setSchedulingId(project.id);
+    setEditStartDate(project.startDate || '');
+    setEditDueDate(project.dueDate || '');
+    setScheduleError(null);
+  };
+
+  const handleSaveSchedule = (projectId) => {
+    const error = onUpdateProjectDates(projectId, editStartDate, editDueDate);
+    setScheduleError(error);
+    if (!error) setSchedulingId(null);
+  };
+
+  const handleStartTemplate = (project) => {
+    setEditingId(null);
+    setSchedulingId(null);
+    setTemplatingId(project.id);
+    setTemplateName(`${project.name} Template`);
+  };
+
+  const handleSaveTemplate = (projectId) => {
+    onSaveAsTemplate(projectId, templateName);
+    setTemplatingId(null);
+  };
+
+  const handleAddProjectClick = () => {
+    const [sourceType, ...sourceId] = newProjectSource.split(':');
+    const error = onAddProject(newProjectName, newProjectStartDate, newProjectDueDate, {
+      templateId: sourceType === 'template' ? sourceId.join(':') : null,
+      sourceProjectId: sourceType === 'project' ? sourceId.join(':') : null,
+    });
+    setAddError(error);
+    if (error) return;
+    setNewProjectName('');
+    setNewProjectStartDate('');
+    setNewProjectDueDate('');
+    setNewProjectSource('');
+  };
+
+  return (
+    <>
+      <Card className="mb-8">
+        <h2 className="text-xl font-semibold mb-4 text-gray-700">Add New Project</h2>
+        <div className="flex flex-col lg:flex-row space-y-3 lg:space-y-0 lg:space-x-3">
           <input
             type="text"
             placeholder="Enter new project name..."
@@ -350,158 +4408,1448 @@ const ProjectDashboard = ({ projects, onAddProject, onDeleteProject, onManualUpd
             onChange={(e) => setNewProjectName(e.target.value)}
             className="flex-grow p-3 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
           />
+          <input
+            type="date"
+            title="Start Date"
+            value={newProjectStartDate}
+            onChange={(e) => setNewProjectStartDate(e.target.value)}
+            className="p-3 border border-gray-300 rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500"
+          />
+          <input
+            type="date"
+            title="Due Date"
+            value={newProjectDueDate}
+            min={newProjectStartDate || undefined}
+            onChange={(e) => setNewProjectDueDate(e.target.value)}
+            className="p-3 border border-gray-300 rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500"
+          />
+          <select
+            value={newProjectSource}
+            onChange={(e) => setNewProjectSource(e.target.value)}
+            title="Create from Template or Project"
+            className="p-3 border border-gray-300 rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">Blank project</option>
+            {templates.length > 0 && (
+              <optgroup label="From template">
+                {templates.map(template => (
+                  <option key={template.id} value={`template:${template.id}`}>{template.name}</option>
+                ))}
+              </optgroup>
+            )}
+            {projects.length > 0 && (
+              <optgroup label="Duplicate existing project">
+                {projects.map(project => (
+                  <option key={project.id} value={`project:${project.id}`}>{project.name}</option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+          <button
+            onClick={handleAddProjectClick}
+            className="flex items-center px-4 py-3 text-white bg-green-500 rounded-lg shadow-md hover:bg-green-600 transition duration-150"
+          >
+            <Plus className="w-5 h-5 mr-1" /> Add Project
+          </button>
+        </div>
+        {addError && <p className="mt-2 text-sm text-red-600">{addError}</p>}
+        {templates.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 mt-4 text-sm">
+            <span className="text-gray-500">Templates:</span>
+            {templates.map(template => (
+              <span key={template.id} className="flex items-center px-3 py-1 text-gray-700 bg-gray-100 rounded-full">
+                <Layers className="w-3 h-3 mr-1 text-gray-500" />
+                {template.name} ({template.tasks.length} task{template.tasks.length === 1 ? '' : 's'})
+                <button
+                  onClick={() => onDeleteTemplate(template.id)}
+                  disabled={!canDeleteTemplates}
+                  title={canDeleteTemplates ? 'Delete Template' : getPermissionHint(PERMISSIONS.DELETE_TEMPLATE)}
+                  className="ml-1 text-gray-400 hover:text-red-600 disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:text-gray-400"
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+      </Card>
+
+      <Card>
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6 space-y-3 md:space-y-0">
+          <h2 className="text-xl font-semibold text-gray-700">
+            Active Projects ({hasFilters ? `${visibleProjects.length} of ${projects.length}` : projects.length})
+          </h2>
+          <ScheduleControls
+            filter={filters.schedule}
+            onFilterChange={(value) => setFilter('schedule', value)}
+            sortKey={filters.sort}
+            onSortChange={(value) => setFilter('sort', value)}
+            sortOptions={PROJECT_SORT_OPTIONS}
+          />
+        </div>
+        <div className="flex flex-wrap items-center gap-3 mb-6 text-sm">
+          <label className="flex items-center flex-grow p-2 border border-gray-300 rounded-lg bg-white">
+            <Search className="w-4 h-4 mr-2 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Filter by project or task name..."
+              value={filters.q}
+              onChange={(e) => setFilter('q', e.target.value)}
+              className="flex-grow outline-none"
+            />
+          </label>
+          <label className="flex items-center text-gray-600">
+            <span className="mr-2">Status:</span>
+            <select
+              value={filters.status}
+              onChange={(e) => setFilter('status', e.target.value)}
+              className="p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="all">All</option>
+              {Object.values(PROJECT_STATUS).map(status => (
+                <option key={status} value={status}>{status}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center text-gray-600">
+            <span className="mr-2">Assignee:</span>
+            <select
+              value={filters.assignee}
+              onChange={(e) => setFilter('assignee', e.target.value)}
+              className="p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="all">Everyone</option>
+              <option value="unassigned">Unassigned</option>
+              {teamMembers.map(member => (
+                <option key={member.id} value={member.id}>{member.name}</option>
+              ))}
+            </select>
+          </label>
+          <ProgressRangeFilter
+            min={filters.minProgress}
+            max={filters.maxProgress}
+            onChange={(minProgress, maxProgress) => onFiltersChange({ ...filters, minProgress, maxProgress })}
+          />
+          {hasFilters && (
+            <button
+              onClick={() => onFiltersChange(PROJECT_FILTER_DEFAULTS)}
+              className="px-3 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition"
+            >
+              Clear Filters
+            </button>
+          )}
+          <SaveViewControl onSave={onSaveView} />
+        </div>
+        <div className="space-y-4">
+          {projects.length === 0 ? (
+            <p className="text-gray-500">No projects found. Start by adding one!</p>
+          ) : visibleProjects.length === 0 ? (
+            <p className="text-gray-500">No projects match the selected filters.</p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {visibleProjects.map(project => (
+                <div key={project.id} className="p-5 border border-gray-200 rounded-xl bg-gray-50 hover:shadow-lg transition duration-200">
+                  <div className="flex items-center justify-between mb-3">
+                    <h3 className="text-lg font-bold text-gray-800 truncate">{project.name}</h3>
+                    {/* The first option follows progress; On Hold and Cancelled are set by hand */}
+                    <select
+                      value={PAUSED_PROJECT_STATUSES.includes(project.status) ? project.status : 'tracked'}
+                      onChange={(e) => onSetProjectStatus(project.id, e.target.value)}
+                      disabled={!canEditProjects}
+                      title={canEditProjects ? 'Project Status' : getPermissionHint(PERMISSIONS.EDIT_PROJECT)}
+                      className={`text-xs font-medium px-2 py-1 rounded-full border-0 disabled:cursor-not-allowed ${PROJECT_STATUS_CLASSES[project.status] || PROJECT_STATUS_CLASSES[PROJECT_STATUS.IN_PROGRESS]}`}
+                    >
+                      <option value="tracked">{getProjectStatus({ ...project, status: null }, project.progress)}</option>
+                      {PAUSED_PROJECT_STATUSES.map(status => (
+                        <option key={status} value={status}>{status}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div className="flex items-center justify-between mb-3 space-x-2">
+                    <DateRange startDate={project.startDate} dueDate={project.dueDate} />
+                    <ScheduleBadge status={scheduleStatuses[project.id]} />
+                  </div>
+
+                  <div className="mb-4">
+                    <div className="flex items-center justify-between mb-1">
+                      <p className="flex items-center text-sm font-medium text-gray-500">
+                        Progress: {project.progress}%
+                        <span
+                          title={project.isManualProgress ? 'Progress was set by hand and ignores task changes' : 'Progress is calculated from tasks'}
+                          className={`ml-2 text-xs font-medium px-2 py-0.5 rounded-full ${
+                            project.isManualProgress ? 'bg-purple-100 text-purple-700' : 'bg-gray-200 text-gray-600'
+                          }`}
+                        >
+                          {project.isManualProgress ? 'Manual' : 'Auto'}
+                        </span>
+                      </p>
+                      {project.isManualProgress ? (
+                        <button
+                          onClick={() => onRevertToAutoProgress(project.id)}
+                          disabled={!canOverrideProgress}
+                          title={canOverrideProgress ? 'Revert to Automatic Progress' : getPermissionHint(PERMISSIONS.OVERRIDE_PROGRESS)}
+                          className="flex items-center p-1 text-xs text-purple-700 rounded-lg hover:bg-purple-100 transition disabled:opacity-40 disabled:cursor-not-allowed"
+                        >
+                          <RotateCcw className="w-3 h-3 mr-1" /> Use tasks
+                        </button>
+                      ) : (
+                        <select
+                          value={project.progressMode || PROGRESS_MODES.COUNT}
+                          onChange={(e) => onSetProgressMode(project.id, e.target.value)}
+                          disabled={!canEditProjects}
+                          title={canEditProjects ? 'Progress Calculation' : getPermissionHint(PERMISSIONS.EDIT_PROJECT)}
+                          className="p-1 text-xs text-gray-600 border border-gray-300 rounded-lg disabled:opacity-40 disabled:cursor-not-allowed"
+                        >
+                          <option value={PROGRESS_MODES.COUNT}>By task count</option>
+                          <option value={PROGRESS_MODES.EFFORT}>By effort</option>
+                        </select>
+                      )}
+                    </div>
+                    <ProgressBar progress={project.progress} colorClass={project.progress === 100 ? 'bg-green-500' : 'bg-blue-500'} />
+                  </div>
+
+                  <div className="space-y-2">
+                    {editingId === project.id ? (
+                      <div className="flex items-center space-x-2">
+                        <input
+                          type="number"
+                          min="0"
+                          max="100"
+                          value={editProgress}
+                          onChange={(e) => setEditProgress(clampProgress(e.target.value))}
+                          className="w-20 p-1 border border-gray-300 rounded-lg text-center text-sm"
+                        />
+                        <button
+                          onClick={() => handleSaveEdit(project.id)}
+                          className="px-3 py-1 text-sm text-white bg-blue-500 rounded-lg hover:bg-blue-600"
+                        >
+                          Save
+                        </button>
+                        <button
+                          onClick={() => setEditingId(null)}
+                          className="px-3 py-1 text-sm text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    ) : schedulingId === project.id ? (
+                      <div className="space-y-2">
+                        <div className="flex items-center space-x-2">
+                          <span className="w-12 text-xs text-gray-600">Start</span>
+                          <input
+                            type="date"
+                            value={editStartDate}
+                            onChange={(e) => setEditStartDate(e.target.value)}
+                            className="flex-1 p-1 border border-gray-300 rounded-lg text-sm"
+                          />
+                        </div>
+                        <div className="flex items-center space-x-2">
+                          <span className="w-12 text-xs text-gray-600">Due</span>
+                          <input
+                            type="date"
+                            value={editDueDate}
+                            min={editStartDate || undefined}
+                            onChange={(e) => setEditDueDate(e.target.value)}
+                            className="flex-1 p-1 border border-gray-300 rounded-lg text-sm"
+                          />
+                        </div>
+                        {scheduleError && <p className="text-xs text-red-600">{scheduleError}</p>}
+                        <div className="flex space-x-2">
+                          <button
+                            onClick={() => handleSaveSchedule(project.id)}
+                            className="px-3 py-1 text-sm text-white bg-blue-500 rounded-lg hover:bg-blue-600"
+                          >
+                            Save
+                          </button>
+                          <button
+                            onClick={() => setSchedulingId(null)}
+                            className="px-3 py-1 text-sm text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </div>
+                    ) : templatingId === project.id ? (
+                      <div className="flex items-center space-x-2">
+                        <input
+                          type="text"
+                          value={templateName}
+                          onChange={(e) => setTemplateName(e.target.value)}
+                          placeholder="Template name"
+                          className="flex-1 min-w-0 p-1 border border-gray-300 rounded-lg text-sm"
+                        />
+                        <button
+                          onClick={() => handleSaveTemplate(project.id)}
+                          disabled={!templateName.trim()}
+                          className="px-3 py-1 text-sm text-white bg-blue-500 rounded-lg hover:bg-blue-600 disabled:opacity-50"
+                        >
+                          Save
+                        </button>
+                        <button
+                          onClick={() => setTemplatingId(null)}
+                          className="px-3 py-1 text-sm text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => onViewTasks(project.id)}
+                          className="flex-1 flex items-center justify-center py-2 text-sm text-white bg-blue-500 rounded-lg hover:bg-blue-600 transition"
+                        >
+                          <List className="w-4 h-4 mr-1" /> View Tasks
+                        </button>
+                        <button
+                          onClick={() => handleStartSchedule(project)}
+                          disabled={!canEditProjects}
+                          title={canEditProjects ? 'Edit Schedule' : getPermissionHint(PERMISSIONS.EDIT_PROJECT)}
+                          className="p-2 text-gray-600 bg-blue-100 rounded-lg hover:bg-blue-200 transition disabled:opacity-40 disabled:cursor-not-allowed"
+                        >
+                          <Calendar className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => onDuplicateProject(project.id)}
+                          title="Duplicate Project"
+                          className="p-2 text-gray-600 bg-green-100 rounded-lg hover:bg-green-200 transition"
+                        >
+                          <Copy className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleStartTemplate(project)}
+                          title="Save as Template"
+                          className="p-2 text-gray-600 bg-indigo-100 rounded-lg hover:bg-indigo-200 transition"
+                        >
+                          <Layers className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleStartEdit(project)}
+                          disabled={!canOverrideProgress}
+                          title={canOverrideProgress ? 'Edit Progress' : getPermissionHint(PERMISSIONS.OVERRIDE_PROGRESS)}
+                          className="p-2 text-gray-600 bg-yellow-100 rounded-lg hover:bg-yellow-200 transition disabled:opacity-40 disabled:cursor-not-allowed"
+                        >
+                          <Edit className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => onDeleteProject(project.id)}
+                          disabled={!canDeleteProjects}
+                          title={canDeleteProjects ? 'Delete Project' : getPermissionHint(PERMISSIONS.DELETE_PROJECT)}
+                          className="p-2 text-red-600 bg-red-100 rounded-lg hover:bg-red-200 transition disabled:opacity-40 disabled:cursor-not-allowed"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </Card>
+    </>
+  );
+};
+
+// --- Task List Component ---
+
+const TASK_SORT_OPTIONS = [
+  { value: 'default', label: 'Date Added' },
+  { value: 'schedule', label: 'Schedule Status' },
+  { value: 'dueDate', label: 'Due Date' },
+  { value: 'name', label: 'Name' },
+];
+
+const EMPTY_TASK_FORM = { name: '', assignedToMemberId: '', startDate: '', dueDate: '', estimate: '', dependsOn: [] };
+
+// Checklist and comment thread of one task, opened under its row in TaskList
+const TaskDetailPanel = ({ task, canEditChecklist, onAddChecklistItem, onToggleChecklistItem, onDeleteChecklistItem, onAddComment }) => {
+  const [newItem, setNewItem] = useState('');
+  const [newComment, setNewComment] = useState('');
+  const [replyingToId, setReplyingToId] = useState(null);
+  const [replyText, setReplyText] = useState('');
+
+  const checklist = getChecklist(task);
+  const commentsByParent = groupCommentReplies(getComments(task));
+
+  const handleAddItem = () => {
+    onAddChecklistItem(task.id, newItem);
+    setNewItem('');
+  };
+
+  const handleAddComment = () => {
+    onAddComment(task.id, newComment);
+    setNewComment('');
+  };
+
+  const handleReply = (parentId) => {
+    onAddComment(task.id, replyText, parentId);
+    setReplyingToId(null);
+    setReplyText('');
+  };
+
+  const renderComment = (comment, depth) => (
+    <div key={comment.id} className={depth > 0 ? 'pl-3 ml-3 border-l-2 border-gray-200' : ''}>
+      <div className="p-2 text-sm bg-gray-50 rounded-lg">
+        <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-gray-500">
+          <strong className="text-gray-700">{comment.authorName}</strong>
+          <span>{new Date(comment.timestamp).toLocaleString()}</span>
+        </div>
+        <p className="mt-1 text-gray-800 whitespace-pre-wrap">{comment.body}</p>
+        <button
+          onClick={() => { setReplyingToId(comment.id); setReplyText(''); }}
+          className="mt-1 text-xs text-blue-600 hover:text-blue-800"
+        >
+          Reply
+        </button>
+      </div>
+      {replyingToId === comment.id && (
+        <div className="flex mt-2 space-x-2">
+          <input
+            type="text"
+            value={replyText}
+            onChange={(e) => setReplyText(e.target.value)}
+            placeholder={`Reply to ${comment.authorName}...`}
+            className="flex-grow p-1 text-sm border border-gray-300 rounded-lg"
+          />
+          <button
+            onClick={() => handleReply(comment.id)}
+            disabled={!replyText.trim()}
+            className="px-3 py-1 text-sm text-white bg-blue-500 rounded-lg hover:bg-blue-600 disabled:opacity-50"
+          >
+            Reply
+          </button>
+          <button
+            onClick={() => setReplyingToId(null)}
+            className="px-3 py-1 text-sm text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+      {(commentsByParent[comment.id] || []).length > 0 && (
+        <div className="mt-2 space-y-2">
+          {commentsByParent[comment.id].map(reply => renderComment(reply, depth + 1))}
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="grid grid-cols-1 gap-6 p-4 mt-1 bg-white border border-gray-200 rounded-lg md:grid-cols-2">
+      <div>
+        <h4 className="mb-2 text-sm font-semibold text-gray-700">
+          Checklist ({countDoneItems(task)}/{checklist.length})
+        </h4>
+        {checklist.length === 0 && <p className="mb-2 text-sm text-gray-500">No checklist items yet.</p>}
+        <ul className="mb-3 space-y-1">
+          {checklist.map(item => (
+            <li key={item.id} className="flex items-center justify-between text-sm">
+              <label className={`flex items-center ${canEditChecklist ? 'cursor-pointer' : 'cursor-not-allowed'}`}>
+                <input
+                  type="checkbox"
+                  checked={item.isDone}
+                  disabled={!canEditChecklist}
+                  onChange={() => onToggleChecklistItem(task.id, item.id)}
+                  className="mr-2"
+                />
+                <span className={item.isDone ? 'line-through text-gray-500' : 'text-gray-800'}>{item.text}</span>
+              </label>
+              <button
+                onClick={() => onDeleteChecklistItem(task.id, item.id)}
+                disabled={!canEditChecklist}
+                title="Remove Checklist Item"
+                className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </li>
+          ))}
+        </ul>
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            value={newItem}
+            onChange={(e) => setNewItem(e.target.value)}
+            disabled={!canEditChecklist}
+            placeholder="Add a checklist item..."
+            title={canEditChecklist ? undefined : getPermissionHint(PERMISSIONS.TOGGLE_ANY_TASK)}
+            className="flex-grow p-1 text-sm border border-gray-300 rounded-lg disabled:opacity-40"
+          />
+          <button
+            onClick={handleAddItem}
+            disabled={!canEditChecklist || !newItem.trim()}
+            className="flex items-center px-3 py-1 text-sm text-white bg-blue-500 rounded-lg hover:bg-blue-600 disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4 mr-1" /> Add
+          </button>
+        </div>
+        {checklist.length > 0 && (
+          <p className="mt-2 text-xs text-gray-500">Ticking off every item completes the task; an open item reopens it.</p>
+        )}
+      </div>
+
+      <div>
+        <h4 className="mb-2 text-sm font-semibold text-gray-700">Comments ({getComments(task).length})</h4>
+        {!commentsByParent.root && <p className="mb-2 text-sm text-gray-500">No comments yet.</p>}
+        <div className="mb-3 space-y-2">
+          {(commentsByParent.root || []).map(comment => renderComment(comment, 0))}
+        </div>
+        <div className="flex space-x-2">
+          <textarea
+            value={newComment}
+            onChange={(e) => setNewComment(e.target.value)}
+            placeholder="Write a comment..."
+            rows={2}
+            className="flex-grow p-1 text-sm border border-gray-300 rounded-lg"
+          />
+          <button
+            onClick={handleAddComment}
+            disabled={!newComment.trim()}
+            className="self-end px-3 py-1 text-sm text-white bg-blue-500 rounded-lg hover:bg-blue-600 disabled:opacity-50"
+          >
+            Comment
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const TaskList = ({ currentUser, project, tasks, allTasks, projects, teamMembers, workflow, scheduleStatuses, activity, filters, onFiltersChange, onSaveView, onToggleTask, onAddTask, onEditTask, onDeleteTask, onAddChecklistItem, onToggleChecklistItem, onDeleteChecklistItem, onAddComment, onReassignTasks, onShowBoard, onBack }) => {
+  const [newTask, setNewTask] = useState(EMPTY_TASK_FORM);
+  const [addError, setAddError] = useState(null);
+
+  // State for inline editing
+  const [editingTaskId, setEditingTaskId] = useState(null);
+  const [editTask, setEditTask] = useState(EMPTY_TASK_FORM);
+  const [editError, setEditError] = useState(null);
+  const [expandedTaskId, setExpandedTaskId] = useState(null); // Task whose checklist and comments are open
+
+  const visibleTasks = useMemo(
+    () => filterTasks(tasks, teamMembers, scheduleStatuses, filters),
+    [tasks, teamMembers, scheduleStatuses, filters]
+  );
+
+  const canDeleteTasks = hasPermission(currentUser, PERMISSIONS.DELETE_TASK);
+  const canReassignTasks = hasPermission(currentUser, PERMISSIONS.TOGGLE_ANY_TASK); // Suggestions place unassigned tasks
+
+  const setFilter = (key, value) => onFiltersChange({ ...filters, [key]: value });
+  const hasFilters = Object.keys(TASK_FILTER_DEFAULTS).some(key => filters[key] !== TASK_FILTER_DEFAULTS[key]);
+
+  const getMemberName = (id) => teamMembers.find(m => m.id === id)?.name || 'Unassigned';
+  const getTaskName = (id) => tasks.find(t => t.id === id)?.name || id;
+  const getStatusName = (statusId) => workflow.find(column => column.id === statusId)?.name;
+
+  // Incomplete tasks that gate this project's completion, first to last
+  const criticalPath = useMemo(() => getCriticalPath(tasks), [tasks]);
+  const criticalPathEffort = sumEffort(tasks.filter(t => criticalPath.includes(t.id)));
+
+  const unassignedCount = tasks.filter(t => isTaskUnassigned(t, teamMembers)).length;
+  const unassignedOpen = tasks.filter(t => !t.isComplete && isTaskUnassigned(t, teamMembers));
+
+  // Capacity-aware suggestions: a ranking for the task being added, a batch for unassigned open tasks
+  const [assigneeRanking, setAssigneeRanking] = useState(null); // Shown for the user to pick from
+  const [suggestion, setSuggestion] = useState(null); // { memberId, openTasks, capacity } of the member picked
+  const [suggestedAssignments, setSuggestedAssignments] = useState(null);
+
+  const handleSuggestAssignee = () => {
+    setAssigneeRanking(rankMembersByHeadroom(teamMembers, allTasks));
+  };
+
+  const handleChooseAssignee = ({ member, openTasks, capacity }) => {
+    setNewTask({ ...newTask, assignedToMemberId: member.id });
+    setSuggestion({ memberId: member.id, openTasks, capacity });
+    setAssigneeRanking(null);
+  };
+
+  const handleSuggestForUnassigned = () => {
+    const plan = teamMembers.length ? planTaskSplit(unassignedOpen, teamMembers, allTasks) : {};
+    setSuggestedAssignments(unassignedOpen.map(task => ({
+      taskId: task.id,
+      fromMemberId: task.assignedToMemberId,
+      toMemberId: plan[task.id],
+    })));
+  };
+
+  const handleApplySuggestions = () => {
+    onReassignTasks(
+      Object.fromEntries(suggestedAssignments.map(change => [change.taskId, change.toMemberId])),
+      'Assign suggested members'
+    );
+    setSuggestedAssignments(null);
+  };
+
+  const completedCount = tasks.filter(t => t.isComplete).length;
+  const totalCount = tasks.length;
+  const isEffortBased = project.progressMode === PROGRESS_MODES.EFFORT;
+
+  const handleAddTaskClick = () => {
+    if (newTask.name.trim()) {
+      const error = onAddTask(project.id, { ...newTask, name: newTask.name.trim() });
+      setAddError(error);
+      if (error) return;
+      setNewTask(EMPTY_TASK_FORM);
+      setSuggestion(null);
+    }
+  };
+
+  const handleStartEdit = (task) => {
+    setEditingTaskId(task.id);
+    setEditError(null);
+    setEditTask({
+      name: task.name,
+      assignedToMemberId: task.assignedToMemberId || '',
+      startDate: task.startDate || '',
+      dueDate: task.dueDate || '',
+      estimate: task.estimate || '',
+      dependsOn: getDependencies(task),
+    });
+  };
+
+  const handleSaveEdit = () => {
+    if (editTask.name.trim()) {
+      const error = onEditTask(editingTaskId, editTask);
+      setEditError(error);
+      if (!error) setEditingTaskId(null);
+    }
+  };
+
+  // Assignee picker and date inputs shared by the add form and the inline editor
+  const renderTaskFields = (form, setForm, inputClass) => (
+    <>
+      <select
+        value={form.assignedToMemberId}
+        onChange={(e) => setForm({ ...form, assignedToMemberId: e.target.value })}
+        className={`w-full sm:w-48 ${inputClass}`}
+      >
+        <option value="">Unassigned</option>
+        {teamMembers.map(member => (
+          <option key={member.id} value={member.id}>{member.name}</option>
+        ))}
+      </select>
+      <input
+        type="date"
+        title="Start Date"
+        value={form.startDate}
+        onChange={(e) => setForm({ ...form, startDate: e.target.value })}
+        className={inputClass}
+      />
+      <input
+        type="date"
+        title="Due Date"
+        value={form.dueDate}
+        min={form.startDate || undefined}
+        onChange={(e) => setForm({ ...form, dueDate: e.target.value })}
+        className={inputClass}
+      />
+      <input
+        type="number"
+        min="0"
+        step="0.5"
+        title="Effort Estimate (points)"
+        placeholder="Effort"
+        value={form.estimate}
+        onChange={(e) => setForm({ ...form, estimate: e.target.value })}
+        className={`w-full sm:w-24 text-center ${inputClass}`}
+      />
+    </>
+  );
+
+  // Toggle chips for the tasks `form` waits on; options that would close a loop are disabled
+  const renderDependencyPicker = (form, setForm, taskId = null) => {
+    const candidates = tasks.filter(t => t.id !== taskId);
+    if (candidates.length === 0) return null;
+
+    const toggleDependency = (id) => setForm({
+      ...form,
+      dependsOn: form.dependsOn.includes(id) ? form.dependsOn.filter(d => d !== id) : [...form.dependsOn, id],
+    });
+
+    return (
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="flex items-center text-gray-600"><Link className="w-4 h-4 mr-1" /> Depends on:</span>
+        {candidates.map(candidate => {
+          const isSelected = form.dependsOn.includes(candidate.id);
+          const cycle = !isSelected && taskId ? findDependencyCycle(tasks, taskId, [candidate.id]) : null;
+          return (
+            <button
+              key={candidate.id}
+              type="button"
+              onClick={() => toggleDependency(candidate.id)}
+              disabled={!!cycle}
+              title={cycle ? `Would create a cycle: ${cycle.map(getTaskName).join(' → ')}` : undefined}
+              className={`px-2 py-1 text-xs rounded-lg border transition disabled:opacity-40 disabled:cursor-not-allowed ${
+                isSelected ? 'bg-blue-500 text-white border-blue-500' : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-100'
+              }`}
+            >
+              {candidate.name}
+            </button>
+          );
+        })}
+      </div>
+    );
+  };
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between pb-4 mb-6 border-b border-gray-100">
+        <h2 className="text-2xl font-bold text-gray-800">{project.name}</h2>
+        <div className="flex space-x-2">
           <button
-            onClick={() => {
-              onAddProject(newProjectName);
-              setNewProjectName('');
-            }}
-            className="flex items-center px-4 py-3 text-white bg-green-500 rounded-lg shadow-md hover:bg-green-600 transition duration-150"
+            onClick={onShowBoard}
+            className="flex items-center px-4 py-2 text-sm text-indigo-700 bg-indigo-100 rounded-lg hover:bg-indigo-200 transition"
           >
-            <Plus className="w-5 h-5 mr-1" /> Add Project
+            <Columns className="w-4 h-4 mr-1" /> Board
+          </button>
+          <button
+            onClick={onBack}
+            className="flex items-center px-4 py-2 text-sm text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition"
+          >
+            <X className="w-4 h-4 mr-1" /> Back to Dashboard
           </button>
         </div>
-      </Card>
+      </div>
 
-      <Card>
-        <h2 className="text-xl font-semibold mb-6 text-gray-700">Active Projects ({projects.length})</h2>
-        <div className="space-y-4">
-          {projects.length === 0 ? (
-            <p className="text-gray-500">No projects found. Start by adding one!</p>
-          ) : (
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-              {projects.map(project => (
-                <div key={project.id} className="p-5 border border-gray-200 rounded-xl bg-gray-50 hover:shadow-lg transition duration-200">
-                  <div className="flex items-center justify-between mb-3">
-                    <h3 className="text-lg font-bold text-gray-800 truncate">{project.name}</h3>
-                    <span className={`text-xs font-medium px-2 py-1 rounded-full ${
-                      project.status === 'Completed' ? 'bg-green-100 text-green-700' : 'bg-yellow-100 text-yellow-700'
-                    }`}>
-                      {project.status}
-                    </span>
-                  </div>
+      <div className="mb-6">
+        <p className="text-lg font-medium text-gray-600 mb-2">
+          Completion: {completedCount} / {totalCount} Tasks
+          {isEffortBased && (
+            <span className="ml-3 text-sm text-gray-500">
+              ({sumEffort(tasks.filter(t => t.isComplete))} / {sumEffort(tasks)} effort points)
+            </span>
+          )}
+        </p>
+        <ProgressBar progress={project.progress} colorClass={project.progress === 100 ? 'bg-green-500' : 'bg-blue-500'} />
+        {project.isManualProgress && (
+          <p className="mt-2 text-sm text-purple-700">
+            Progress is set manually to {project.progress}% and does not follow these tasks until it is reverted on the dashboard.
+          </p>
+        )}
+        {criticalPath.length > 0 && (
+          <p className="mt-2 text-sm text-orange-700">
+            <span className="font-semibold">Critical path:</span> {criticalPath.map(getTaskName).join(' → ')}
+            <span className="ml-1 text-gray-500">({criticalPathEffort} effort points remaining)</span>
+          </p>
+        )}
+      </div>
 
-                  <div className="mb-4">
-                    <p className="text-sm font-medium text-gray-500 mb-1">Progress: {project.progress}%</p>
-                    <ProgressBar progress={project.progress} colorClass={project.progress === 100 ? 'bg-green-500' : 'bg-blue-500'} />
-                  </div>
+      <div className="flex flex-col lg:flex-row mb-6 space-y-3 lg:space-y-0 lg:space-x-3">
+        <input
+          type="text"
+          placeholder="Enter new task name..."
+          value={newTask.name}
+          onChange={(e) => setNewTask({ ...newTask, name: e.target.value })}
+          className="flex-grow p-3 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+        />
+        {renderTaskFields(newTask, setNewTask, "p-3 border border-gray-300 rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500")}
+        <button
+          onClick={handleSuggestAssignee}
+          disabled={teamMembers.length === 0}
+          title="Rank members by remaining capacity"
+          className="flex items-center justify-center px-4 py-3 text-indigo-700 bg-indigo-100 rounded-lg hover:bg-indigo-200 transition duration-150 disabled:opacity-50"
+        >
+          <Zap className="w-5 h-5 mr-1" /> Suggest
+        </button>
+        <button
+          onClick={handleAddTaskClick}
+          className="flex items-center justify-center px-4 py-3 text-white bg-green-500 rounded-lg shadow-md hover:bg-green-600 transition duration-150"
+        >
+          <Plus className="w-5 h-5 mr-1" /> Add Task
+        </button>
+      </div>
+      <div className="-mt-3 mb-6">
+        {renderDependencyPicker(newTask, setNewTask)}
+        {addError && <p className="mt-2 text-sm text-red-600">{addError}</p>}
+      </div>
+      {suggestion && newTask.assignedToMemberId === suggestion.memberId && (
+        <p className="-mt-4 mb-6 text-sm text-indigo-700">
+          Suggested {getMemberName(suggestion.memberId)}: {suggestion.openTasks} open tasks against a capacity of {suggestion.capacity} this week.
+        </p>
+      )}
 
-                  <div className="space-y-2">
-                    {editingId === project.id ? (
-                      <div className="flex items-center space-x-2">
-                        <input
-                          type="number"
-                          min="0"
-                          max="100"
-                          value={editProgress}
-                          onChange={(e) => setEditProgress(parseInt(e.target.value) || 0)}
-                          className="w-20 p-1 border border-gray-300 rounded-lg text-center text-sm"
-                        />
-                        <button
-                          onClick={() => handleSaveEdit(project.id)}
-                          className="px-3 py-1 text-sm text-white bg-blue-500 rounded-lg hover:bg-blue-600"
-                        >
-                          Save
-                        </button>
-                        <button
-                          onClick={() => setEditingId(null)}
-                          className="px-3 py-1 text-sm text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
-                        >
-                          Cancel
-                        </button>
-                      </div>
-                    ) : (
-                      <div className="flex space-x-2">
-                        <button
-                          onClick={() => onViewTasks(project.id)}
-                          className="flex-1 flex items-center justify-center py-2 text-sm text-white bg-blue-500 rounded-lg hover:bg-blue-600 transition"
-                        >
-                          <List className="w-4 h-4 mr-1" /> View Tasks
-                        </button>
-                        <button
-                          onClick={() => handleStartEdit(project)}
-                          title="Edit Progress"
-                          className="p-2 text-gray-600 bg-yellow-100 rounded-lg hover:bg-yellow-200 transition"
-                        >
-                          <Edit className="w-4 h-4" />
-                        </button>
-                        <button
-                          onClick={() => onDeleteProject(project.id)}
-                          title="Delete Project"
-                          className="p-2 text-red-600 bg-red-100 rounded-lg hover:bg-red-200 transition"
-                        >
-                          <Trash2 className="w-4 h-4" />
-                        </button>
-                      </div>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-4 space-y-3 md:space-y-0">
+        <h3 className="text-xl font-semibold text-gray-700">Tasks</h3>
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <label className="flex items-center text-gray-600">
+            <span className="mr-2">Assignee:</span>
+            <select
+              value={filters.assignee}
+              onChange={(e) => setFilter('assignee', e.target.value)}
+              className="p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="all">Everyone</option>
+              <option value="unassigned">Unassigned ({unassignedCount})</option>
+              {teamMembers.map(member => (
+                <option key={member.id} value={member.id}>{member.name}</option>
+              ))}
+            </select>
+          </label>
+          <ScheduleControls
+            filter={filters.schedule}
+            onFilterChange={(value) => setFilter('schedule', value)}
+            sortKey={filters.sort}
+            onSortChange={(value) => setFilter('sort', value)}
+            sortOptions={TASK_SORT_OPTIONS}
+          />
+        </div>
+      </div>
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+        <label className="flex items-center flex-grow p-2 border border-gray-300 rounded-lg bg-white">
+          <Search className="w-4 h-4 mr-2 text-gray-400" />
+          <input
+            type="text"
+            placeholder="Filter by task or assignee name..."
+            value={filters.q}
+            onChange={(e) => setFilter('q', e.target.value)}
+            className="flex-grow outline-none"
+          />
+        </label>
+        <label className="flex items-center text-gray-600">
+          <span className="mr-2">Completion:</span>
+          <select
+            value={filters.completion}
+            onChange={(e) => setFilter('completion', e.target.value)}
+            className="p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="all">All</option>
+            <option value="open">Open</option>
+            <option value="completed">Completed</option>
+          </select>
+        </label>
+        <label className="flex items-center text-gray-600">
+          <span className="mr-2">Status:</span>
+          <select
+            value={filters.status}
+            onChange={(e) => setFilter('status', e.target.value)}
+            className="p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="all">All</option>
+            {workflow.map(column => (
+              <option key={column.id} value={column.id}>{column.name}</option>
+            ))}
+          </select>
+        </label>
+        {hasFilters && (
+          <button
+            onClick={() => onFiltersChange(TASK_FILTER_DEFAULTS)}
+            className="px-3 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition"
+          >
+            Clear Filters
+          </button>
+        )}
+        <SaveViewControl onSave={onSaveView} />
+      </div>
+      {unassignedOpen.length > 0 && teamMembers.length > 0 && (
+        <button
+          onClick={handleSuggestForUnassigned}
+          disabled={!canReassignTasks}
+          title={canReassignTasks ? undefined : getPermissionHint(PERMISSIONS.TOGGLE_ANY_TASK)}
+          className="flex items-center mb-4 px-3 py-2 text-sm text-indigo-700 bg-indigo-100 rounded-lg hover:bg-indigo-200 transition disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          <Zap className="w-4 h-4 mr-1" /> Suggest Assignees for Unassigned Tasks
+        </button>
+      )}
+      {assigneeRanking && (
+        <AssigneeRankingDialog
+          ranking={assigneeRanking}
+          onAssign={handleChooseAssignee}
+          onCancel={() => setAssigneeRanking(null)}
+        />
+      )}
+      {suggestedAssignments && (
+        <AssignmentPreviewDialog
+          title="Suggested assignees"
+          description="Open unassigned tasks go to whoever has the most remaining capacity."
+          changes={suggestedAssignments}
+          tasks={allTasks}
+          teamMembers={teamMembers}
+          projects={projects}
+          applyLabel="Apply Suggestions"
+          onApply={handleApplySuggestions}
+          onCancel={() => setSuggestedAssignments(null)}
+        />
+      )}
+      {tasks.length === 0 ? (
+        <p className="text-gray-500">No tasks assigned yet for this project.</p>
+      ) : visibleTasks.length === 0 ? (
+        <p className="text-gray-500">No tasks match the selected filters.</p>
+      ) : (
+        <div className="space-y-3">
+          {visibleTasks.map(task => (
+            editingTaskId === task.id ? (
+              // --- Edit Mode UI ---
+              <div key={task.id} className="p-3 rounded-lg bg-white border border-blue-300 space-y-2">
+                <div className="flex flex-col lg:flex-row space-y-2 lg:space-y-0 lg:space-x-2">
+                  <input
+                    type="text"
+                    value={editTask.name}
+                    onChange={(e) => setEditTask({ ...editTask, name: e.target.value })}
+                    placeholder="Task Name"
+                    className="flex-grow p-2 border border-gray-300 rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  {renderTaskFields(editTask, setEditTask, "p-2 border border-gray-300 rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500")}
+                  <button
+                    onClick={handleSaveEdit}
+                    disabled={!editTask.name.trim()}
+                    className="px-3 py-1 text-sm text-white bg-blue-500 rounded-lg hover:bg-blue-600"
+                  >
+                    Save
+                  </button>
+                  <button
+                    onClick={() => setEditingTaskId(null)}
+                    className="px-3 py-1 text-sm text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+                  >
+                    Cancel
+                  </button>
+                </div>
+                {renderDependencyPicker(editTask, setEditTask, task.id)}
+                {editError && <p className="text-sm text-red-600">{editError}</p>}
+              </div>
+            ) : (
+              // --- Display Mode UI ---
+              <div key={task.id}>
+                <div
+                  className={`flex items-center justify-between p-3 rounded-lg transition-colors ${
+                    getToggleHint(currentUser, task, tasks) ? 'cursor-not-allowed' : 'cursor-pointer'
+                  } ${
+                    task.isComplete
+                      ? 'bg-green-50 border-l-4 border-green-400'
+                      : criticalPath.includes(task.id)
+                        ? 'bg-white border border-gray-200 border-l-4 border-l-orange-400'
+                        : 'bg-white border border-gray-200'
+                  }`}
+                  onClick={() => !getToggleHint(currentUser, task, tasks) && onToggleTask(task.id)}
+                >
+                  <div className="flex items-center">
+                    <button
+                      disabled={!!getToggleHint(currentUser, task, tasks)}
+                      title={getToggleHint(currentUser, task, tasks)}
+                      className={`mr-3 p-1 rounded-full border transition-colors disabled:opacity-40 ${
+                        task.isComplete ? 'bg-green-500 border-green-500 text-white' : 'bg-white border-gray-400 text-gray-400'
+                      }`}
+                      aria-label={task.isComplete ? "Mark incomplete" : "Mark complete"}
+                    >
+                      <CheckSquare className="w-5 h-5" />
+                    </button>
+                    <div className="flex flex-col">
+                      <span className={`text-gray-800 ${task.isComplete ? 'line-through text-gray-500 italic' : 'font-medium'}`}>
+                        {task.name}
+                      </span>
+                      <DateRange startDate={task.startDate} dueDate={task.dueDate} />
+                      {isTaskBlocked(task, tasks) && (
+                        <span className="text-xs text-gray-500">
+                          Waiting on {getBlockingTasks(task, tasks).map(t => t.name).join(', ')}
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    {isTaskBlocked(task, tasks) && (
+                      <span className="flex items-center text-xs px-2 py-1 rounded-full whitespace-nowrap text-gray-700 bg-gray-200">
+                        <Lock className="w-3 h-3 mr-1" /> Blocked
+                      </span>
+                    )}
+                    {criticalPath.includes(task.id) && (
+                      <span className="text-xs px-2 py-1 rounded-full whitespace-nowrap text-orange-700 bg-orange-100">
+                        Critical Path
+                      </span>
                     )}
+                    {getStatusName(task.status) && (
+                      <span className="text-xs px-2 py-1 rounded-full whitespace-nowrap text-blue-700 bg-blue-50">
+                        {getStatusName(task.status)}
+                      </span>
+                    )}
+                    <ScheduleBadge status={scheduleStatuses[task.id]} />
+                    <span
+                      title={task.estimate ? 'Effort Estimate' : 'No estimate, counted as the default effort'}
+                      className={`text-xs px-2 py-1 rounded-full whitespace-nowrap ${task.estimate ? 'text-indigo-700 bg-indigo-50' : 'text-gray-400 bg-gray-50'}`}
+                    >
+                      {getTaskEffort(task)} pts
+                    </span>
+                    <span className={`text-sm px-3 py-1 rounded-full ${
+                      isTaskUnassigned(task, teamMembers) ? 'text-amber-700 bg-amber-50 italic' : 'text-gray-600 bg-gray-100'
+                    }`}>
+                      {getMemberName(task.assignedToMemberId)}
+                    </span>
+                    {/* Row actions must not bubble up to the toggle handler */}
+                    <button
+                      onClick={(e) => { e.stopPropagation(); setExpandedTaskId(expandedTaskId === task.id ? null : task.id); }}
+                      title={expandedTaskId === task.id ? 'Hide Checklist and Comments' : 'Show Checklist and Comments'}
+                      className={`flex items-center px-2 py-1 space-x-2 text-xs rounded-lg transition ${
+                        expandedTaskId === task.id ? 'text-blue-700 bg-blue-100' : 'text-gray-600 bg-gray-100 hover:bg-gray-200'
+                      }`}
+                    >
+                      <span className="flex items-center">
+                        <CheckSquare className="w-3 h-3 mr-1" /> {countDoneItems(task)}/{getChecklist(task).length}
+                      </span>
+                      <span className="flex items-center">
+                        <MessageSquare className="w-3 h-3 mr-1" /> {getComments(task).length}
+                      </span>
+                    </button>
+                    <button
+                      onClick={(e) => { e.stopPropagation(); handleStartEdit(task); }}
+                      disabled={!canToggleTask(currentUser, task)}
+                      title={canToggleTask(currentUser, task) ? 'Edit Task' : 'You can only edit tasks assigned to you'}
+                      className="p-2 text-gray-600 bg-yellow-100 rounded-lg hover:bg-yellow-200 transition disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                      <Edit className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={(e) => { e.stopPropagation(); onDeleteTask(task.id); }}
+                      disabled={!canDeleteTasks}
+                      title={canDeleteTasks ? 'Delete Task' : getPermissionHint(PERMISSIONS.DELETE_TASK)}
+                      className="p-2 text-red-600 bg-red-100 rounded-lg hover:bg-red-200 transition disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
                   </div>
                 </div>
-              ))}
-            </div>
-          )}
+                {expandedTaskId === task.id && (
+                  <TaskDetailPanel
+                    task={task}
+                    canEditChecklist={canToggleTask(currentUser, task)}
+                    onAddChecklistItem={onAddChecklistItem}
+                    onToggleChecklistItem={onToggleChecklistItem}
+                    onDeleteChecklistItem={onDeleteChecklistItem}
+                    onAddComment={onAddComment}
+                  />
+                )}
+              </div>
+            )
+          ))}
         </div>
-      </Card>
-    </>
+      )}
+
+      <div className="pt-6 mt-8 border-t border-gray-100">
+        <h3 className="mb-4 text-xl font-semibold text-gray-700">Project Activity</h3>
+        <ActivityFeed entries={activity} />
+      </div>
+    </Card>
   );
 };
 
-// --- Task List Component ---
+// --- Task Board Component ---
+
+const TaskBoard = ({ currentUser, project, tasks, teamMembers, workflow, scheduleStatuses, onMoveTask, onUpdateWorkflow, onShowList, onBack }) => {
+  const [draggedTaskId, setDraggedTaskId] = useState(null);
+  const [dropTargetId, setDropTargetId] = useState(null); // Column currently under the dragged card
+
+  // Column editor works on a draft so half-finished changes never reach the tasks
+  const [workflowDraft, setWorkflowDraft] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const workflowErrors = workflowDraft ? validateWorkflow(workflowDraft) : [];
+
+  const canManageWorkflow = hasPermission(currentUser, PERMISSIONS.MANAGE_WORKFLOW);
 
-const TaskList = ({ project, tasks, teamMembers, onToggleTask, onBack }) => {
   const getMemberName = (id) => teamMembers.find(m => m.id === id)?.name || 'Unassigned';
 
-  const completedCount = tasks.filter(t => t.isComplete).length;
-  const totalCount = tasks.length;
+  const handleDrop = (e, statusId) => {
+    e.preventDefault();
+    const taskId = e.dataTransfer.getData('text/plain') || draggedTaskId;
+    if (taskId) onMoveTask(taskId, statusId);
+    setDraggedTaskId(null);
+    setDropTargetId(null);
+  };
+
+  const updateDraftColumn = (index, changes) => {
+    setWorkflowDraft(workflowDraft.map((column, i) => (i === index ? { ...column, ...changes } : column)));
+  };
+
+  const handleAddColumn = () => {
+    setWorkflowDraft([...workflowDraft, { id: `status-${Date.now()}-${workflowDraft.length}`, name: '', isDone: false }]);
+  };
+
+  const handleSaveWorkflow = () => {
+    const error = onUpdateWorkflow(workflowDraft.map(column => ({ ...column, name: column.name.trim() })));
+    setSaveError(error);
+    if (!error) setWorkflowDraft(null);
+  };
+
+  const handleToggleEditor = () => {
+    setWorkflowDraft(workflowDraft ? null : workflow);
+    setSaveError(null);
+  };
 
   return (
     <Card>
       <div className="flex items-center justify-between pb-4 mb-6 border-b border-gray-100">
         <h2 className="text-2xl font-bold text-gray-800">{project.name}</h2>
-        <button
-          onClick={onBack}
-          className="flex items-center px-4 py-2 text-sm text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition"
-        >
-          <X className="w-4 h-4 mr-1" /> Back to Dashboard
-        </button>
+        <div className="flex space-x-2">
+          <button
+            onClick={handleToggleEditor}
+            disabled={!canManageWorkflow}
+            title={canManageWorkflow ? 'Edit Workflow Columns' : getPermissionHint(PERMISSIONS.MANAGE_WORKFLOW)}
+            className="flex items-center px-4 py-2 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            <Edit className="w-4 h-4 mr-1" /> Columns
+          </button>
+          <button
+            onClick={onShowList}
+            className="flex items-center px-4 py-2 text-sm text-indigo-700 bg-indigo-100 rounded-lg hover:bg-indigo-200 transition"
+          >
+            <List className="w-4 h-4 mr-1" /> List
+          </button>
+          <button
+            onClick={onBack}
+            className="flex items-center px-4 py-2 text-sm text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition"
+          >
+            <X className="w-4 h-4 mr-1" /> Back to Dashboard
+          </button>
+        </div>
       </div>
 
-      <div className="mb-6">
-        <p className="text-lg font-medium text-gray-600 mb-2">
-          Completion: {completedCount} / {totalCount} Tasks
-        </p>
-        <ProgressBar progress={project.progress} colorClass={project.progress === 100 ? 'bg-green-500' : 'bg-blue-500'} />
+      {workflowDraft && (
+        <div className="p-4 mb-6 space-y-3 border border-gray-200 rounded-xl bg-gray-50">
+          <h3 className="text-lg font-semibold text-gray-700">Workflow Columns</h3>
+          <p className="text-sm text-gray-500">
+            Columns apply to every project. Tasks in a column marked done count as complete;
+            tasks in a removed column move to the first open or done column.
+          </p>
+          {workflowDraft.map((column, index) => (
+            <div key={column.id} className="flex items-center space-x-3">
+              <input
+                type="text"
+                value={column.name}
+                placeholder="Column name"
+                onChange={(e) => updateDraftColumn(index, { name: e.target.value })}
+                className="flex-grow p-2 border border-gray-300 rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500"
+              />
+              <label className="flex items-center text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={column.isDone}
+                  onChange={(e) => updateDraftColumn(index, { isDone: e.target.checked })}
+                  className="mr-1"
+                />
+                Done
+              </label>
+              <button
+                onClick={() => setWorkflowDraft(workflowDraft.filter((_, i) => i !== index))}
+                title="Remove Column"
+                className="p-2 text-red-600 bg-red-100 rounded-lg hover:bg-red-200 transition"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+          {workflowErrors.map(error => (
+            <p key={error} className="text-sm text-red-600">{error}</p>
+          ))}
+          {saveError && workflowErrors.length === 0 && <p className="text-sm text-red-600">{saveError}</p>}
+          <div className="flex space-x-2">
+            <button
+              onClick={handleAddColumn}
+              className="flex items-center px-3 py-2 text-sm text-blue-700 bg-blue-100 rounded-lg hover:bg-blue-200 transition"
+            >
+              <Plus className="w-4 h-4 mr-1" /> Add Column
+            </button>
+            <button
+              onClick={handleSaveWorkflow}
+              disabled={workflowErrors.length > 0}
+              className="px-4 py-2 text-sm text-white bg-blue-500 rounded-lg hover:bg-blue-600 transition disabled:opacity-50"
+            >
+              Save Columns
+            </button>
+            <button
+              onClick={handleToggleEditor}
+              className="px-4 py-2 text-sm text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="flex space-x-4 overflow-x-auto pb-2">
+        {workflow.map(column => {
+          const columnTasks = tasks.filter(t => t.status === column.id);
+          return (
+            <div
+              key={column.id}
+              onDragOver={(e) => { e.preventDefault(); setDropTargetId(column.id); }}
+              onDragLeave={() => setDropTargetId(null)}
+              onDrop={(e) => handleDrop(e, column.id)}
+              className={`flex-shrink-0 w-64 p-3 rounded-xl transition-colors ${
+                dropTargetId === column.id ? 'bg-blue-50 ring-2 ring-blue-300' : 'bg-gray-100'
+              }`}
+            >
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-sm font-semibold text-gray-700">
+                  {column.name}
+                  {column.isDone && <CheckSquare className="inline w-4 h-4 ml-1 text-green-600" />}
+                </h3>
+                <span className="text-xs text-gray-500">{columnTasks.length}</span>
+              </div>
+              <div className="space-y-2 min-h-[4rem]">
+                {columnTasks.map(task => (
+                  <div
+                    key={task.id}
+                    draggable={canToggleTask(currentUser, task)}
+                    onDragStart={(e) => { e.dataTransfer.setData('text/plain', task.id); setDraggedTaskId(task.id); }}
+                    onDragEnd={() => { setDraggedTaskId(null); setDropTargetId(null); }}
+                    title={canToggleTask(currentUser, task) ? undefined : getPermissionHint(PERMISSIONS.TOGGLE_ANY_TASK)}
+                    className={`p-3 bg-white border border-gray-200 rounded-lg shadow-sm ${
+                      canToggleTask(currentUser, task) ? 'cursor-move' : 'cursor-not-allowed'
+                    } ${
+                      draggedTaskId === task.id ? 'opacity-50' : ''
+                    }`}
+                  >
+                    <p className={`text-sm ${task.isComplete ? 'line-through text-gray-500' : 'font-medium text-gray-800'}`}>{task.name}</p>
+                    <p className="mt-1 text-xs text-gray-500">{getMemberName(task.assignedToMemberId)} · {getTaskEffort(task)} pts</p>
+                    <div className="flex flex-wrap items-center gap-1 mt-2">
+                      {isTaskBlocked(task, tasks) && (
+                        <span className="flex items-center text-xs px-2 py-0.5 rounded-full text-gray-700 bg-gray-200">
+                          <Lock className="w-3 h-3 mr-1" /> Blocked
+                        </span>
+                      )}
+                      <ScheduleBadge status={scheduleStatuses[task.id]} />
+                    </div>
+                    {/* Keyboard-friendly alternative to dragging */}
+                    <select
+                      value={task.status}
+                      onChange={(e) => onMoveTask(task.id, e.target.value)}
+                      disabled={!canToggleTask(currentUser, task)}
+                      title="Move to Column"
+                      className="w-full mt-2 p-1 text-xs text-gray-600 border border-gray-200 rounded disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                      {/* Blocked tasks cannot be completed, so done columns are off limits until they are unblocked */}
+                      {workflow.map(option => (
+                        <option key={option.id} value={option.id} disabled={option.isDone && isTaskBlocked(task, tasks)}>
+                          {option.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </Card>
+  );
+};
+
+// --- Timeline Component ---
+
+// Pixels per day and header tick spacing for each zoom level
+const TIMELINE_ZOOMS = {
+  week: { label: 'Weeks', dayWidth: 28, isTick: (date) => date.getDay() === 1 },
+  month: { label: 'Months', dayWidth: 8, isTick: (date) => date.getDate() === 1 },
+  quarter: { label: 'Quarters', dayWidth: 3, isTick: (date) => date.getDate() === 1 && date.getMonth() % 3 === 0 },
+};
+
+const TIMELINE_PADDING_DAYS = 7; // Empty days shown either side of the earliest and latest dates
+
+const TIMELINE_BAR_CLASSES = {
+  [SCHEDULE_STATUS.OVERDUE]: 'bg-red-200',
+  [SCHEDULE_STATUS.AT_RISK]: 'bg-yellow-200',
+  [SCHEDULE_STATUS.ON_TRACK]: 'bg-blue-200',
+};
+
+// Apply a drag of `offsetDays` to a bar; moving shifts both ends, resizing keeps start <= due
+const shiftDates = ({ startDate, dueDate }, mode, offsetDays) => {
+  if (mode === 'move') return { startDate: addDays(startDate, offsetDays), dueDate: addDays(dueDate, offsetDays) };
+  if (mode === 'start') {
+    const newStart = addDays(startDate, offsetDays);
+    return { startDate: newStart > dueDate ? dueDate : newStart, dueDate };
+  }
+  const newDue = addDays(dueDate, offsetDays);
+  return { startDate, dueDate: newDue < startDate ? startDate : newDue };
+};
+
+const Timeline = ({ currentUser, projects, tasks, scheduleStatuses, onUpdateProjectDates, onUpdateTaskDates, onViewTasks }) => {
+  const [zoom, setZoom] = useState('week');
+  const [expandedIds, setExpandedIds] = useState([]); // Projects whose tasks are shown
+  const [drag, setDrag] = useState(null); // { kind, id, mode, originX, startDate, dueDate, offsetDays }
+
+  const { dayWidth, isTick } = TIMELINE_ZOOMS[zoom];
+  const today = toDateKey(new Date());
+
+  // The visible range covers every scheduled item and today
+  const range = useMemo(() => {
+    const dates = [...projects, ...tasks]
+      .flatMap(item => [item.startDate, item.dueDate])
+      .filter(Boolean);
+    const sorted = [...dates, today].sort();
+    const start = addDays(sorted[0], -TIMELINE_PADDING_DAYS);
+    const end = addDays(sorted[sorted.length - 1], TIMELINE_PADDING_DAYS);
+    return { start, days: daysBetween(start, end) + 1 };
+  }, [projects, tasks, today]);
+
+  const ticks = useMemo(() => Array.from({ length: range.days }, (_, index) => addDays(range.start, index))
+    .filter(dateKey => isTick(parseDateKey(dateKey))), [range, isTick]);
+
+  const formatTick = (dateKey) => parseDateKey(dateKey).toLocaleDateString(undefined,
+    zoom === 'week' ? { month: 'short', day: 'numeric' } : { month: 'short', year: '2-digit' });
+
+  // Follow the pointer while a bar is dragged and commit the new dates on release
+  useEffect(() => {
+    if (!drag) return;
+    const handleMove = (e) => {
+      const offsetDays = Math.round((e.clientX - drag.originX) / dayWidth);
+      setDrag(prev => (prev && prev.offsetDays !== offsetDays ? { ...prev, offsetDays } : prev));
+    };
+    const handleUp = () => {
+      if (drag.offsetDays !== 0) {
+        const dates = shiftDates(drag, drag.mode, drag.offsetDays);
+        const onUpdate = drag.kind === 'project' ? onUpdateProjectDates : onUpdateTaskDates;
+        onUpdate(drag.id, dates.startDate, dates.dueDate);
+      }
+      setDrag(null);
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+  }, [drag, dayWidth, onUpdateProjectDates, onUpdateTaskDates]);
+
+  const startDrag = (e, kind, item, mode) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDrag({ kind, id: item.id, mode, originX: e.clientX, startDate: item.startDate, dueDate: item.dueDate, offsetDays: 0 });
+  };
+
+  const toggleExpanded = (projectId) => {
+    setExpandedIds(prev => (prev.includes(projectId) ? prev.filter(id => id !== projectId) : [...prev, projectId]));
+  };
+
+  const trackWidth = range.days * dayWidth;
+  const todayOffset = daysBetween(range.start, today) * dayWidth;
+
+  // Tooltip for a bar the current user may not drag, or undefined
+  const getDragHint = (kind, item) => {
+    if (kind === 'project') return hasPermission(currentUser, PERMISSIONS.EDIT_PROJECT) ? undefined : getPermissionHint(PERMISSIONS.EDIT_PROJECT);
+    return canToggleTask(currentUser, item) ? undefined : TASK_DATES_HINT;
+  };
+
+  const renderBar = (kind, item, progress) => {
+    // Only items with both dates can be drawn; the rest are listed as unscheduled
+    if (!item.startDate || !item.dueDate) {
+      return <span className="absolute left-2 top-2 text-xs italic text-gray-400">Unscheduled</span>;
+    }
+    const isDragged = drag && drag.kind === kind && drag.id === item.id;
+    const dates = isDragged ? shiftDates(item, drag.mode, drag.offsetDays) : item;
+    const left = daysBetween(range.start, dates.startDate) * dayWidth;
+    const width = (daysBetween(dates.startDate, dates.dueDate) + 1) * dayWidth;
+    const dragHint = getDragHint(kind, item);
+
+    return (
+      <div
+        onMouseDown={dragHint ? undefined : (e) => startDrag(e, kind, item, 'move')}
+        title={dragHint || `${item.name}: ${dates.startDate} → ${dates.dueDate}`}
+        className={`absolute top-1.5 h-6 rounded-md overflow-hidden select-none ${dragHint ? 'cursor-not-allowed' : 'cursor-move'} ${
+          TIMELINE_BAR_CLASSES[scheduleStatuses[item.id]] || 'bg-gray-200'
+        } ${isDragged ? 'ring-2 ring-blue-400' : ''}`}
+        style={{ left, width }}
+      >
+        <div className="h-full bg-blue-500 opacity-60" style={{ width: `${progress}%` }}></div>
+        {!dragHint && (
+          <>
+            <div
+              onMouseDown={(e) => startDrag(e, kind, item, 'start')}
+              title="Drag to change the start date"
+              className="absolute inset-y-0 left-0 w-1.5 cursor-ew-resize bg-gray-500 opacity-0 hover:opacity-60"
+            ></div>
+            <div
+              onMouseDown={(e) => startDrag(e, kind, item, 'end')}
+              title="Drag to change the due date"
+              className="absolute inset-y-0 right-0 w-1.5 cursor-ew-resize bg-gray-500 opacity-0 hover:opacity-60"
+            ></div>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const renderRow = (key, label, bar, isTaskRow = false) => (
+    <div key={key} className="flex border-b border-gray-100">
+      <div className={`sticky left-0 z-10 flex-shrink-0 w-56 py-2 pr-2 text-sm bg-white truncate ${isTaskRow ? 'pl-8 text-gray-600' : 'pl-2'}`}>
+        {label}
+      </div>
+      <div className="relative h-9 flex-shrink-0" style={{ width: trackWidth }}>
+        {ticks.map(dateKey => (
+          <div key={dateKey} className="absolute inset-y-0 border-l border-gray-100" style={{ left: daysBetween(range.start, dateKey) * dayWidth }}></div>
+        ))}
+        <div className="absolute inset-y-0 border-l-2 border-red-400" style={{ left: todayOffset }}></div>
+        {bar}
+      </div>
+    </div>
+  );
+
+  return (
+    <Card>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6 space-y-3 md:space-y-0">
+        <h2 className="text-xl font-semibold text-gray-700">Project Timeline</h2>
+        <div className="flex items-center space-x-2 text-sm">
+          <span className="text-gray-600">Zoom:</span>
+          {Object.entries(TIMELINE_ZOOMS).map(([key, option]) => (
+            <button
+              key={key}
+              onClick={() => setZoom(key)}
+              className={`px-3 py-1 rounded-lg transition ${
+                zoom === key ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
       </div>
+      <p className="mb-4 text-sm text-gray-500">
+        Drag a bar to move it, or drag its ends to change the start or due date. The red line marks today.
+      </p>
 
-      <h3 className="text-xl font-semibold mb-4 text-gray-700">Tasks</h3>
-      {tasks.length === 0 ? (
-        <p className="text-gray-500">No tasks assigned yet for this project.</p>
+      {projects.length === 0 ? (
+        <p className="text-gray-500">No projects found. Start by adding one on the dashboard!</p>
       ) : (
-        <div className="space-y-3">
-          {tasks.map(task => (
-            <div
-              key={task.id}
-              className={`flex items-center justify-between p-3 rounded-lg transition-colors cursor-pointer ${
-                task.isComplete ? 'bg-green-50 border-l-4 border-green-400' : 'bg-white border border-gray-200'
-              }`}
-              onClick={() => onToggleTask(task.id)}
-            >
-              <div className="flex items-center">
-                <button
-                  className={`mr-3 p-1 rounded-full border transition-colors ${
-                    task.isComplete ? 'bg-green-500 border-green-500 text-white' : 'bg-white border-gray-400 text-gray-400'
-                  }`}
-                  aria-label={task.isComplete ? "Mark incomplete" : "Mark complete"}
-                >
-                  <CheckSquare className="w-5 h-5" />
-                </button>
-                <span className={`text-gray-800 ${task.isComplete ? 'line-through text-gray-500 italic' : 'font-medium'}`}>
-                  {task.name}
-                </span>
+        <div className="overflow-x-auto border border-gray-200 rounded-lg">
+          <div style={{ width: trackWidth + 224 }}>
+            <div className="flex border-b border-gray-200 bg-gray-50">
+              <div className="sticky left-0 z-10 flex-shrink-0 w-56 p-2 text-xs font-semibold text-gray-500 uppercase bg-gray-50">Project</div>
+              <div className="relative h-8 flex-shrink-0" style={{ width: trackWidth }}>
+                {ticks.map(dateKey => (
+                  <span
+                    key={dateKey}
+                    className="absolute top-2 pl-1 text-xs text-gray-500 whitespace-nowrap border-l border-gray-300"
+                    style={{ left: daysBetween(range.start, dateKey) * dayWidth }}
+                  >
+                    {formatTick(dateKey)}
+                  </span>
+                ))}
               </div>
-              <span className="text-sm text-gray-600 bg-gray-100 px-3 py-1 rounded-full">
-                {getMemberName(task.assignedToMemberId)}
-              </span>
             </div>
-          ))}
+            {projects.map(project => {
+              const projectTasks = tasks.filter(t => t.projectId === project.id);
+              const isExpanded = expandedIds.includes(project.id);
+              return (
+                <React.Fragment key={project.id}>
+                  {renderRow(project.id, (
+                    <span className="flex items-center">
+                      <button
+                        onClick={() => toggleExpanded(project.id)}
+                        disabled={projectTasks.length === 0}
+                        title={isExpanded ? 'Hide Tasks' : 'Show Tasks'}
+                        className="w-5 mr-1 text-gray-500 disabled:opacity-30"
+                      >
+                        {isExpanded ? '▾' : '▸'}
+                      </button>
+                      <button onClick={() => onViewTasks(project.id)} className="font-medium text-gray-800 truncate hover:text-blue-600">
+                        {project.name}
+                      </button>
+                    </span>
+                  ), renderBar('project', project, project.progress))}
+                  {isExpanded && projectTasks.map(task =>
+                    renderRow(task.id, task.name, renderBar('task', task, task.isComplete ? 100 : 0), true)
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </div>
         </div>
       )}
     </Card>
@@ -510,53 +5858,109 @@ const TaskList = ({ project, tasks, teamMembers, onToggleTask, onBack }) => {
 
 // --- Team Overview Component (with Capacity Bonus) ---
 
-const TeamOverview = ({ tasks, teamMembers, onAddTeamMember, onDeleteTeamMember, onEditTeamMember }) => {
+const CAPACITY_UNITS = {
+  TASKS: 'tasks',   // Load is the number of open tasks
+  EFFORT: 'effort', // Load is the sum of open task estimates
+};
+
+// Bar fill percentage and colour for a load measured against a limit
+const getLoadDisplay = (load, limit) => {
+  // Cap the bar at 100% even if the workload is higher; a zero limit (full week of leave) is full as soon as there is load
+  const capacityPct = limit > 0 ? Math.min(100, Math.round((load / limit) * 100)) : (load > 0 ? 100 : 0);
+
+  let colorClass = 'bg-green-500';
+  // Use load > limit for critical red status, even if capacityPct calculation overflows past 100
+  if (load > limit || capacityPct > 90) {
+    colorClass = 'bg-red-500';
+  } else if (capacityPct > 50) {
+    colorClass = 'bg-orange-500'; // Moderate workload
+  }
+  return { capacityPct, colorClass };
+};
+
+const TeamOverview = ({ currentUser, tasks, teamMembers, projects, onAddTeamMember, onDeleteTeamMember, onEditTeamMember, onReassignTasks }) => {
   const [newMemberName, setNewMemberName] = useState('');
   const [newMemberCapacity, setNewMemberCapacity] = useState(5); // State for new capacity input
+  const [newMemberEffort, setNewMemberEffort] = useState('');    // Optional effort capacity, defaults to task capacity
+  const [newMemberRole, setNewMemberRole] = useState(ROLES.MEMBER);
+  const [capacityUnit, setCapacityUnit] = useState(CAPACITY_UNITS.TASKS);
   
   // State for inline editing
   const [editingMemberId, setEditingMemberId] = useState(null); // ID of the member currently being edited
   const [editName, setEditName] = useState('');                 // Value for the name input
   const [editCapacity, setEditCapacity] = useState('');         // Value for the capacity input
+  const [editEffort, setEditEffort] = useState('');             // Value for the effort capacity input
+  const [editAvailability, setEditAvailability] = useState(DEFAULT_AVAILABILITY); // Working days, allocation and leave
+  const [editRole, setEditRole] = useState(ROLES.MEMBER);
+  const [newLeave, setNewLeave] = useState({ start: '', end: '' });
+
+  const weekStarts = useMemo(() => getWeekStarts(CAPACITY_WEEKS), []);
+
+  const isEffortUnit = capacityUnit === CAPACITY_UNITS.EFFORT;
+  const unitLabel = isEffortUnit ? 'pts' : 'tasks';
 
   const teamData = useMemo(() => {
     return teamMembers.map(member => {
       const assignedTasks = tasks.filter(t => t.assignedToMemberId === member.id);
-      const openTasks = assignedTasks.filter(t => !t.isComplete).length;
-      
-      // Use member's specific capacity, defaulting to 5 if not set
-      const maxCapacity = member.maxCapacity || 5; 
-      
-      // Calculate capacityPct based on member's maxCapacity
-      // Use Math.min(100, ...) to cap the progress bar at 100% display, even if workload is higher
-      const capacityPct = Math.min(100, Math.round((openTasks / maxCapacity) * 100));
-
-      let colorClass = 'bg-green-500';
-      // Use openTasks > maxCapacity for critical red status, even if capacityPct calculation overflows past 100
-      if (openTasks > maxCapacity || capacityPct > 90) { 
-        colorClass = 'bg-red-500'; 
-      } else if (capacityPct > 50) {
-        colorClass = 'bg-orange-500'; // Moderate workload
-      }
+      const openAssignedTasks = assignedTasks.filter(t => !t.isComplete);
+      const openTasks = openAssignedTasks.length;
+      const openEffort = sumEffort(openAssignedTasks);
       
+      // Every member has a capacity once saved data is migrated (see MIGRATIONS)
+      const maxCapacity = member.maxCapacity; 
+      // Effort capacity falls back to the task capacity, i.e. one point per task
+      const maxEffort = member.maxEffort || maxCapacity;
+
+      // Week-by-week load against capacity scaled by working days, leave and allocation
+      const forecast = buildCapacityForecast(member, tasks, weekStarts, isEffortUnit)
+        .map(week => ({ ...week, ...getLoadDisplay(week.load, week.capacity) }));
+      const overbookedWeeks = forecast.filter(week => week.load > week.capacity);
+
+      // The headline figures describe the current week
+      const { load, capacity: limit, capacityPct, colorClass } = forecast[0];
+      const availability = getAvailability(member);
+
       return {
         ...member,
         openTasks,
+        openEffort,
+        load,
+        limit,
         capacityPct,
         maxCapacity, // Include calculated maxCapacity for display
+        maxEffort,
         colorClass,
+        availability,
+        forecast,
+        overbookedWeeks,
+        leaveWeeks: forecast.filter(week => week.availableDays < availability.workingDays.length),
       };
     });
-  }, [tasks, teamMembers]);
+  }, [tasks, teamMembers, isEffortUnit, weekStarts]);
+
+  const unassignedOpenCount = tasks.filter(t => !t.isComplete && isTaskUnassigned(t, teamMembers)).length;
+
+  // Proposed moves off over-capacity members, shown for review before they are applied
+  const [rebalanceMoves, setRebalanceMoves] = useState(null);
+
+  const handleApplyRebalance = () => {
+    onReassignTasks(
+      Object.fromEntries(rebalanceMoves.map(move => [move.taskId, move.toMemberId])),
+      'Rebalance workload'
+    );
+    setRebalanceMoves(null);
+  };
 
   const handleAddMemberClick = () => {
     // Ensure capacity is a valid number, defaulting to 5 if empty/invalid
     const safeCapacity = parseInt(newMemberCapacity) > 0 ? parseInt(newMemberCapacity) : 5;
     
     if (newMemberName.trim()) {
-        onAddTeamMember(newMemberName.trim(), safeCapacity); // Pass capacity
+        onAddTeamMember(newMemberName.trim(), safeCapacity, newMemberEffort, newMemberRole); // Pass capacity
         setNewMemberName('');
         setNewMemberCapacity(5); // Reset capacity input
+        setNewMemberEffort('');
+        setNewMemberRole(ROLES.MEMBER);
     }
   };
   
@@ -565,11 +5969,41 @@ const TeamOverview = ({ tasks, teamMembers, onAddTeamMember, onDeleteTeamMember,
     setEditingMemberId(member.id);
     setEditName(member.name);
     setEditCapacity(member.maxCapacity);
+    setEditEffort(member.maxEffort);
+    setEditAvailability(getAvailability(member));
+    setEditRole(member.role || ROLES.MEMBER);
+    setNewLeave({ start: '', end: '' });
+  };
+
+  const handleToggleWorkingDay = (day) => {
+    setEditAvailability(prev => ({
+      ...prev,
+      workingDays: prev.workingDays.includes(day)
+        ? prev.workingDays.filter(d => d !== day)
+        : [...prev.workingDays, day].sort(),
+    }));
+  };
+
+  const handleAddLeave = () => {
+    if (!newLeave.start) return;
+    // A single date is a one-day leave; swap the ends if they were entered backwards
+    const end = newLeave.end || newLeave.start;
+    const range = newLeave.start <= end ? { start: newLeave.start, end } : { start: end, end: newLeave.start };
+    setEditAvailability(prev => ({
+      ...prev,
+      leave: [...prev.leave, range].sort((a, b) => a.start.localeCompare(b.start)),
+    }));
+    setNewLeave({ start: '', end: '' });
+  };
+
+  const handleRemoveLeave = (index) => {
+    setEditAvailability(prev => ({ ...prev, leave: prev.leave.filter((_, i) => i !== index) }));
   };
 
   const handleSaveEdit = () => {
     if (editName.trim() && parseInt(editCapacity) > 0) {
-      onEditTeamMember(editingMemberId, editName, editCapacity);
+      const allocationPct = Math.min(100, Math.max(0, parseInt(editAvailability.allocationPct) || 0));
+      onEditTeamMember(editingMemberId, editName, editCapacity, editEffort, { ...editAvailability, allocationPct }, editRole);
       setEditingMemberId(null); // Exit edit mode
     }
   };
@@ -578,6 +6012,10 @@ const TeamOverview = ({ tasks, teamMembers, onAddTeamMember, onDeleteTeamMember,
     setEditingMemberId(null); // Exit edit mode
   };
 
+  const canManageRoles = hasPermission(currentUser, PERMISSIONS.MANAGE_ROLES);
+  const canDeleteMembers = hasPermission(currentUser, PERMISSIONS.DELETE_MEMBER);
+  const canReassignTasks = hasPermission(currentUser, PERMISSIONS.TOGGLE_ANY_TASK); // Moves take other people's tasks
+
 
   return (
     <>
@@ -601,6 +6039,27 @@ const TeamOverview = ({ tasks, teamMembers, onAddTeamMember, onDeleteTeamMember,
             onChange={(e) => setNewMemberCapacity(parseInt(e.target.value) || '')}
             className="w-full sm:w-32 p-3 border border-gray-300 rounded-lg text-center focus:ring-indigo-500 focus:border-indigo-500"
           />
+          {/* Optional Effort Capacity Input */}
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            placeholder="Effort (pts)"
+            value={newMemberEffort}
+            onChange={(e) => setNewMemberEffort(e.target.value)}
+            className="w-full sm:w-32 p-3 border border-gray-300 rounded-lg text-center focus:ring-indigo-500 focus:border-indigo-500"
+          />
+          <select
+            value={newMemberRole}
+            onChange={(e) => setNewMemberRole(e.target.value)}
+            disabled={!canManageRoles}
+            title={canManageRoles ? 'Role' : getPermissionHint(PERMISSIONS.MANAGE_ROLES)}
+            className="w-full sm:w-36 p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            {Object.values(ROLES).map(role => (
+              <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+            ))}
+          </select>
           <button
             onClick={handleAddMemberClick}
             className="flex items-center justify-center px-4 py-3 text-white bg-indigo-500 rounded-lg shadow-md hover:bg-indigo-600 transition duration-150"
@@ -612,7 +6071,49 @@ const TeamOverview = ({ tasks, teamMembers, onAddTeamMember, onDeleteTeamMember,
       
       {/* Existing Team Overview Card */}
       <Card>
-        <h2 className="text-xl font-semibold mb-6 text-gray-700">Team Capacity and Workload</h2>
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-semibold text-gray-700">Team Capacity and Workload</h2>
+          <div className="flex items-center space-x-3">
+            <button
+              onClick={() => setRebalanceMoves(planRebalance(teamMembers, tasks))}
+              disabled={!canReassignTasks}
+              title={canReassignTasks ? 'Propose moving open tasks off over-capacity members' : getPermissionHint(PERMISSIONS.TOGGLE_ANY_TASK)}
+              className="flex items-center px-3 py-2 text-sm text-indigo-700 bg-indigo-100 rounded-lg hover:bg-indigo-200 transition disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              <Shuffle className="w-4 h-4 mr-1" /> Rebalance
+            </button>
+            <label className="flex items-center text-sm text-gray-600">
+              <span className="mr-2">Measure load in:</span>
+              <select
+                value={capacityUnit}
+                onChange={(e) => setCapacityUnit(e.target.value)}
+                className="p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+              >
+                <option value={CAPACITY_UNITS.TASKS}>Open tasks</option>
+                <option value={CAPACITY_UNITS.EFFORT}>Effort points</option>
+              </select>
+            </label>
+          </div>
+        </div>
+        {rebalanceMoves && (
+          <AssignmentPreviewDialog
+            title="Rebalance workload"
+            description="Open tasks due last move from over-capacity members to whoever has the most headroom."
+            changes={rebalanceMoves}
+            tasks={tasks}
+            teamMembers={teamMembers}
+            projects={projects}
+            applyLabel="Apply Moves"
+            onApply={handleApplyRebalance}
+            onCancel={() => setRebalanceMoves(null)}
+          />
+        )}
+        {unassignedOpenCount > 0 && (
+          <p className="mb-6 text-sm text-amber-700">
+            {unassignedOpenCount} open task{unassignedOpenCount === 1 ? ' is' : 's are'} unassigned.
+            Filter a project's task list by "Unassigned" to hand {unassignedOpenCount === 1 ? 'it' : 'them'} out.
+          </p>
+        )}
         <div className="space-y-6">
           {teamData.map(member => (
             <div key={member.id} className="p-4 border border-gray-100 rounded-xl bg-gray-50">
@@ -628,6 +6129,20 @@ const TeamOverview = ({ tasks, teamMembers, onAddTeamMember, onDeleteTeamMember,
                     placeholder="Member Name"
                     className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 text-sm"
                   />
+                  <div className="flex items-center space-x-3">
+                    <span className="text-sm text-gray-600">Role:</span>
+                    <select
+                      value={editRole}
+                      onChange={(e) => setEditRole(e.target.value)}
+                      disabled={!canManageRoles}
+                      title={canManageRoles ? undefined : getPermissionHint(PERMISSIONS.MANAGE_ROLES)}
+                      className="p-2 border border-gray-300 rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500 disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                      {Object.values(ROLES).map(role => (
+                        <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                      ))}
+                    </select>
+                  </div>
                   <div className="flex items-center space-x-3">
                     <span className="text-sm text-gray-600">Max Capacity:</span>
                     <input
@@ -639,6 +6154,91 @@ const TeamOverview = ({ tasks, teamMembers, onAddTeamMember, onDeleteTeamMember,
                     />
                     <span className="text-sm text-gray-500">tasks</span>
                   </div>
+                  <div className="flex items-center space-x-3">
+                    <span className="text-sm text-gray-600">Max Effort:</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={editEffort || ''}
+                      placeholder={String(editCapacity)}
+                      onChange={(e) => setEditEffort(e.target.value)}
+                      className="w-20 p-2 border border-gray-300 rounded-lg text-center text-sm focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <span className="text-sm text-gray-500">pts</span>
+                  </div>
+                  <p className="text-xs text-gray-500">Capacities describe a full five-day week at 100% allocation.</p>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="text-sm text-gray-600">Working Days:</span>
+                    {[1, 2, 3, 4, 5, 6, 0].map(day => (
+                      <button
+                        key={day}
+                        type="button"
+                        onClick={() => handleToggleWorkingDay(day)}
+                        className={`px-2 py-1 text-xs rounded-lg border transition ${
+                          editAvailability.workingDays.includes(day)
+                            ? 'bg-blue-500 text-white border-blue-500'
+                            : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-100'
+                        }`}
+                      >
+                        {WEEKDAY_LABELS[day]}
+                      </button>
+                    ))}
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    <span className="text-sm text-gray-600">Allocation:</span>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={editAvailability.allocationPct}
+                      onChange={(e) => setEditAvailability(prev => ({ ...prev, allocationPct: e.target.value }))}
+                      className="w-20 p-2 border border-gray-300 rounded-lg text-center text-sm focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <span className="text-sm text-gray-500">%</span>
+                  </div>
+                  <div className="space-y-2">
+                    <span className="text-sm text-gray-600">Leave:</span>
+                    {editAvailability.leave.length === 0 && (
+                      <p className="text-xs text-gray-500">No leave booked.</p>
+                    )}
+                    {editAvailability.leave.map((range, index) => (
+                      <div key={`${range.start}-${index}`} className="flex items-center justify-between p-2 text-sm bg-white border border-gray-200 rounded-lg">
+                        <DateRange startDate={range.start} dueDate={range.end} />
+                        <button
+                          type="button"
+                          onClick={() => handleRemoveLeave(index)}
+                          title="Remove Leave"
+                          className="p-1 text-red-600 rounded hover:bg-red-100 transition"
+                        >
+                          <X className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                    <div className="flex flex-wrap items-center gap-2">
+                      <input
+                        type="date"
+                        value={newLeave.start}
+                        onChange={(e) => setNewLeave(prev => ({ ...prev, start: e.target.value }))}
+                        className="p-2 border border-gray-300 rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500"
+                      />
+                      <span className="text-sm text-gray-500">to</span>
+                      <input
+                        type="date"
+                        value={newLeave.end}
+                        onChange={(e) => setNewLeave(prev => ({ ...prev, end: e.target.value }))}
+                        className="p-2 border border-gray-300 rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500"
+                      />
+                      <button
+                        type="button"
+                        onClick={handleAddLeave}
+                        disabled={!newLeave.start}
+                        className="flex items-center px-3 py-2 text-sm text-blue-700 bg-blue-100 rounded-lg hover:bg-blue-200 transition disabled:opacity-50"
+                      >
+                        <Plus className="w-4 h-4 mr-1" /> Add Leave
+                      </button>
+                    </div>
+                  </div>
                   <div className="flex space-x-2 pt-2">
                     <button
                       onClick={handleSaveEdit}
@@ -660,7 +6260,25 @@ const TeamOverview = ({ tasks, teamMembers, onAddTeamMember, onDeleteTeamMember,
                 // --- Display Mode UI ---
                 <>
                   <div className="flex justify-between items-start mb-2">
-                    <span className="text-lg font-bold text-gray-800">{member.name}</span>
+                    <div className="flex flex-wrap items-center gap-2">
+                      <a href={`#${memberPath(member.id)}`} title="View Member Details" className="text-lg font-bold text-gray-800 hover:text-indigo-600">
+                        {member.name}
+                      </a>
+                      <span className="px-2 py-0.5 text-xs font-medium text-gray-600 bg-gray-200 rounded-full">
+                        {ROLE_LABELS[member.role] || ROLE_LABELS[ROLES.MEMBER]}
+                      </span>
+                      {(member.availability.allocationPct < 100 || member.availability.workingDays.length < FULL_TIME_DAYS) && (
+                        <span className="px-2 py-0.5 text-xs font-medium text-blue-700 bg-blue-100 rounded-full">
+                          Part-time: {member.availability.allocationPct}%, {member.availability.workingDays.length} days/week
+                        </span>
+                      )}
+                      {member.leaveWeeks.length > 0 && (
+                        <span className="px-2 py-0.5 text-xs font-medium text-purple-700 bg-purple-100 rounded-full">
+                          <Calendar className="inline w-3 h-3 mr-1" />
+                          Leave in week of {member.leaveWeeks.map(week => formatWeekLabel(week.weekStart)).join(', ')}
+                        </span>
+                      )}
+                    </div>
                     <div className="flex space-x-2">
                         {/* Edit Button - New! */}
                         <button
@@ -673,8 +6291,9 @@ const TeamOverview = ({ tasks, teamMembers, onAddTeamMember, onDeleteTeamMember,
                         {/* Delete Button */}
                         <button
                             onClick={() => onDeleteTeamMember(member.id)}
-                            title="Delete Member (removes assigned tasks)"
-                            className="p-2 text-red-600 bg-red-100 rounded-lg hover:bg-red-200 transition"
+                            disabled={!canDeleteMembers}
+                            title={canDeleteMembers ? 'Delete Member' : getPermissionHint(PERMISSIONS.DELETE_MEMBER)}
+                            className="p-2 text-red-600 bg-red-100 rounded-lg hover:bg-red-200 transition disabled:opacity-40 disabled:cursor-not-allowed"
                         >
                             <Trash2 className="w-4 h-4" />
                         </button>
@@ -684,18 +6303,33 @@ const TeamOverview = ({ tasks, teamMembers, onAddTeamMember, onDeleteTeamMember,
                   <div className="flex justify-between items-center mb-1">
                     <span className="text-sm text-gray-600 font-medium">
                       {member.openTasks} Open Tasks
+                      {isEffortUnit && <span className="ml-1 text-gray-500">({member.openEffort} pts)</span>}
                     </span>
                     <span className="text-sm text-gray-500">
-                        Max Capacity: <strong className="text-gray-700">{member.maxCapacity}</strong> tasks
+                        This week: <strong className="text-gray-700">{member.load}</strong> of {member.limit} {unitLabel}
+                        <span className="ml-1">({isEffortUnit ? 'Max Effort' : 'Max Capacity'} {isEffortUnit ? member.maxEffort : member.maxCapacity} full-time)</span>
                     </span>
                   </div>
                   
-                  <ProgressBar progress={member.capacityPct} colorClass={member.colorClass} />
+                  {/* Weekly load against the capacity available that week */}
+                  <div className="grid grid-cols-3 sm:grid-cols-6 gap-3 mt-2">
+                    {member.forecast.map(week => (
+                      <div key={week.weekStart} title={`${week.availableDays} working day${week.availableDays === 1 ? '' : 's'}`}>
+                        <div className="text-xs text-gray-500 mb-1">{formatWeekLabel(week.weekStart)}</div>
+                        <ProgressBar progress={week.capacityPct} colorClass={week.colorClass} />
+                        <div className={`text-xs mt-1 ${week.load > week.capacity ? 'text-red-600 font-semibold' : 'text-gray-600'}`}>
+                          {week.load} / {week.capacity}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
                   
                   {/* Over Capacity Warning */}
-                  {member.openTasks > member.maxCapacity && (
+                  {member.overbookedWeeks.length > 0 && (
                       <p className="mt-2 text-sm text-red-600 font-semibold">
-                          ⚠️ OVER CAPACITY ({member.openTasks - member.maxCapacity} tasks over limit)
+                          ⚠️ OVER CAPACITY in {member.overbookedWeeks.map(week =>
+                            `week of ${formatWeekLabel(week.weekStart)} (${week.load} vs ${week.capacity} ${unitLabel})`
+                          ).join(', ')}
                       </p>
                   )}
                 </>
@@ -708,4 +6342,624 @@ const TeamOverview = ({ tasks, teamMembers, onAddTeamMember, onDeleteTeamMember,
   );
 };
 
+// --- Member Detail Component ---
+
+const MemberDetail = ({ currentUser, member, tasks, allTasks, projects, scheduleStatuses, activity, onToggleTask, onBack }) => {
+  const openTasks = tasks.filter(t => !t.isComplete);
+  const completedTasks = tasks.filter(t => t.isComplete);
+  // Measured against this week's capacity, after leave and part-time allocation
+  const capacity = getCurrentCapacity(member);
+  const { capacityPct: loadPct } = getLoadDisplay(openTasks.length, capacity);
+
+  // Group the member's tasks by project, keeping the dashboard's project order
+  const taskGroups = useMemo(() => {
+    const groups = projects
+      .map(project => ({ project, tasks: tasks.filter(t => t.projectId === project.id) }))
+      .filter(group => group.tasks.length > 0);
+    const orphaned = tasks.filter(t => !projects.some(p => p.id === t.projectId));
+    return orphaned.length ? [...groups, { project: null, tasks: orphaned }] : groups;
+  }, [projects, tasks]);
+
+  const renderTaskRow = (task) => (
+    <div
+      key={task.id}
+      className={`flex items-center justify-between p-3 rounded-lg transition-colors ${
+        getToggleHint(currentUser, task, allTasks) ? 'cursor-not-allowed' : 'cursor-pointer'
+      } ${
+        task.isComplete ? 'bg-green-50 border-l-4 border-green-400' : 'bg-white border border-gray-200'
+      }`}
+      onClick={() => !getToggleHint(currentUser, task, allTasks) && onToggleTask(task.id)}
+    >
+      <div className="flex items-center">
+        <button
+          disabled={!!getToggleHint(currentUser, task, allTasks)}
+          title={getToggleHint(currentUser, task, allTasks)}
+          className={`mr-3 p-1 rounded-full border transition-colors disabled:opacity-40 ${
+            task.isComplete ? 'bg-green-500 border-green-500 text-white' : 'bg-white border-gray-400 text-gray-400'
+          }`}
+          aria-label={task.isComplete ? "Mark incomplete" : "Mark complete"}
+        >
+          <CheckSquare className="w-5 h-5" />
+        </button>
+        <div className="flex flex-col">
+          <span className={`text-gray-800 ${task.isComplete ? 'line-through text-gray-500 italic' : 'font-medium'}`}>
+            {task.name}
+          </span>
+          <DateRange startDate={task.startDate} dueDate={task.dueDate} />
+        </div>
+      </div>
+      <div className="flex items-center space-x-2">
+        <ScheduleBadge status={scheduleStatuses[task.id]} />
+        <span className="text-xs px-2 py-1 rounded-full whitespace-nowrap text-indigo-700 bg-indigo-50">
+          {getTaskEffort(task)} pts
+        </span>
+      </div>
+    </div>
+  );
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between pb-4 mb-6 border-b border-gray-100">
+        <h2 className="text-2xl font-bold text-gray-800">{member.name}</h2>
+        <button
+          onClick={onBack}
+          className="flex items-center px-4 py-2 text-sm text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition"
+        >
+          <X className="w-4 h-4 mr-1" /> Back to Team
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+        <div className="p-4 rounded-xl bg-gray-50">
+          <p className="text-sm text-gray-500">Open Tasks</p>
+          <p className="text-2xl font-bold text-gray-800">{openTasks.length} <span className="text-sm font-normal text-gray-500">/ {capacity} capacity this week</span></p>
+        </div>
+        <div className="p-4 rounded-xl bg-gray-50">
+          <p className="text-sm text-gray-500">Completed Tasks</p>
+          <p className="text-2xl font-bold text-gray-800">{completedTasks.length}</p>
+        </div>
+        <div className="p-4 rounded-xl bg-gray-50">
+          <p className="text-sm text-gray-500">Open Effort</p>
+          <p className="text-2xl font-bold text-gray-800">{sumEffort(openTasks)} <span className="text-sm font-normal text-gray-500">pts</span></p>
+        </div>
+      </div>
+
+      <div className="mb-8">
+        <p className="text-sm font-medium text-gray-600 mb-1">Current load: {loadPct}%</p>
+        <ProgressBar progress={loadPct} colorClass={openTasks.length > capacity ? 'bg-red-500' : 'bg-indigo-500'} />
+      </div>
+
+      {taskGroups.length === 0 ? (
+        <p className="text-gray-500">{member.name} has no tasks yet.</p>
+      ) : (
+        <div className="space-y-8">
+          {taskGroups.map(({ project, tasks: groupTasks }) => {
+            const groupOpen = groupTasks.filter(t => !t.isComplete);
+            const groupCompleted = groupTasks.filter(t => t.isComplete);
+            return (
+              <div key={project?.id || 'orphaned'}>
+                <div className="flex items-center justify-between mb-3">
+                  <h3 className="text-lg font-semibold text-gray-700">
+                    {project ? project.name : 'Tasks without a project'}
+                    <span className="ml-2 text-sm font-normal text-gray-500">
+                      {groupOpen.length} open · {groupCompleted.length} completed
+                    </span>
+                  </h3>
+                  {project && (
+                    <a
+                      href={`#${projectTasksPath(project.id)}`}
+                      className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      <List className="w-4 h-4 mr-1" /> Project Tasks
+                    </a>
+                  )}
+                </div>
+                <div className="space-y-3">
+                  {groupOpen.map(renderTaskRow)}
+                  {groupCompleted.length > 0 && (
+                    <>
+                      <p className="pt-2 text-xs font-semibold text-gray-400 uppercase">Completed</p>
+                      {groupCompleted.map(renderTaskRow)}
+                    </>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="pt-6 mt-8 border-t border-gray-100">
+        <h3 className="mb-4 text-xl font-semibold text-gray-700">Activity</h3>
+        <ActivityFeed entries={activity} />
+      </div>
+    </Card>
+  );
+};
+
+// --- Reports Component ---
+
+const BURNDOWN_CSV_COLUMNS = [
+  { key: 'date', type: 'string' },
+  { key: 'openTasks', type: 'number' },
+  { key: 'openEffort', type: 'number' },
+  { key: 'totalTasks', type: 'number' },
+  { key: 'progress', type: 'number' },
+];
+
+const THROUGHPUT_CSV_COLUMNS = [
+  { key: 'weekStart', type: 'string' },
+  { key: 'completed', type: 'number' },
+];
+
+const UTILIZATION_CSV_COLUMNS = [
+  { key: 'date', type: 'string' },
+  { key: 'memberId', type: 'string' },
+  { key: 'memberName', type: 'string' },
+  { key: 'load', type: 'number' },
+  { key: 'capacity', type: 'number' },
+  { key: 'capacityPct', type: 'number' },
+];
+
+// Open tasks per day as a line, with a dashed ideal line down to zero on the project's due date
+const BurndownChart = ({ rows, dueDate }) => {
+  if (rows.length === 0) return <p className="text-sm text-gray-500">No snapshots recorded for this project yet.</p>;
+
+  const firstDate = rows[0].date;
+  const lastDate = dueDate && dueDate > rows[rows.length - 1].date ? dueDate : rows[rows.length - 1].date;
+  const spanDays = Math.max(1, daysBetween(firstDate, lastDate));
+  const maxTasks = Math.max(1, ...rows.map(row => row.openTasks));
+  const toX = (date) => (daysBetween(firstDate, date) / spanDays) * 100;
+  const toY = (value) => 100 - (value / maxTasks) * 100;
+  const points = rows.map(row => `${toX(row.date)},${toY(row.openTasks)}`).join(' ');
+
+  return (
+    <div>
+      <svg viewBox="0 0 100 100" preserveAspectRatio="none" className="w-full h-40 bg-gray-50 border border-gray-100 rounded-lg">
+        {dueDate && dueDate > firstDate && (
+          <line
+            x1="0" y1={toY(rows[0].openTasks)} x2={toX(dueDate)} y2="100"
+            stroke="#9ca3af" strokeWidth="1.5" strokeDasharray="4 3" vectorEffect="non-scaling-stroke"
+          />
+        )}
+        <polyline points={points} fill="none" stroke="#2563eb" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+        {rows.map(row => (
+          <circle key={row.date} cx={toX(row.date)} cy={toY(row.openTasks)} r="1.2" fill="#2563eb">
+            <title>{`${row.date}: ${row.openTasks} open task${row.openTasks === 1 ? '' : 's'}, ${row.progress}% complete`}</title>
+          </circle>
+        ))}
+      </svg>
+      <div className="flex justify-between mt-1 text-xs text-gray-500">
+        <span>{firstDate}</span>
+        <span>{lastDate}</span>
+      </div>
+    </div>
+  );
+};
+
+// Vertical bars scaled to `heightPct`; each bar is { key, label, value, heightPct, colorClass, title }
+const BarChart = ({ bars }) => (
+  <div className="flex items-end h-32 space-x-1">
+    {bars.map(bar => (
+      <div key={bar.key} className="flex flex-col items-center justify-end flex-1 h-full min-w-0" title={bar.title}>
+        <span className="text-xs text-gray-600">{bar.value}</span>
+        <div className={`w-full rounded-t ${bar.colorClass}`} style={{ height: `${Math.max(2, bar.heightPct)}%` }}></div>
+        <span className="w-full mt-1 text-xs text-center text-gray-500 truncate">{bar.label}</span>
+      </div>
+    ))}
+  </div>
+);
+
+const Reports = ({ projects, teamMembers, snapshots, activity }) => {
+  const [burndownProjectId, setBurndownProjectId] = useState(projects[0]?.id || '');
+  const burndownProject = projects.find(p => p.id === burndownProjectId) || projects[0];
+
+  const burndown = useMemo(
+    () => (burndownProject ? getBurndown(snapshots, burndownProject.id) : []),
+    [snapshots, burndownProject]
+  );
+  const throughput = useMemo(() => getWeeklyThroughput(activity), [activity]);
+  const maxThroughput = Math.max(1, ...throughput.map(week => week.completed));
+  const utilization = useMemo(
+    () => teamMembers.map(member => ({ member, history: getUtilizationHistory(snapshots, member.id) })),
+    [snapshots, teamMembers]
+  );
+
+  const dateStamp = toDateKey(new Date());
+
+  const handleExportBurndown = () => {
+    downloadFile(`vznx-burndown-${burndownProject.id}-${dateStamp}.csv`, toCsv(burndown, BURNDOWN_CSV_COLUMNS), 'text/csv');
+  };
+
+  const handleExportThroughput = () => {
+    downloadFile(`vznx-throughput-${dateStamp}.csv`, toCsv(throughput, THROUGHPUT_CSV_COLUMNS), 'text/csv');
+  };
+
+  const handleExportUtilization = () => {
+    const rows = utilization.flatMap(({ member, history }) =>
+      history.map(day => ({ ...day, memberName: member.name }))
+    );
+    downloadFile(`vznx-utilization-${dateStamp}.csv`, toCsv(rows, UTILIZATION_CSV_COLUMNS), 'text/csv');
+  };
+
+  const exportButton = (onClick, disabled) => (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      title="Export as CSV"
+      className="flex items-center px-3 py-2 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition disabled:opacity-50"
+    >
+      <Download className="w-4 h-4 mr-1" /> CSV
+    </button>
+  );
+
+  return (
+    <>
+      <Card className="mb-8">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <h2 className="text-xl font-semibold text-gray-700">Project Burndown</h2>
+          <div className="flex items-center space-x-3">
+            <select
+              value={burndownProject?.id || ''}
+              onChange={(e) => setBurndownProjectId(e.target.value)}
+              disabled={projects.length === 0}
+              className="p-2 text-sm border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+            >
+              {projects.map(project => (
+                <option key={project.id} value={project.id}>{project.name}</option>
+              ))}
+            </select>
+            {exportButton(handleExportBurndown, burndown.length === 0)}
+          </div>
+        </div>
+        {burndownProject ? (
+          <>
+            <BurndownChart rows={burndown} dueDate={burndownProject.dueDate} />
+            <p className="mt-2 text-xs text-gray-500">
+              Open tasks per day over the last {REPORT_DAYS} days{burndownProject.dueDate && '; the dashed line burns down to the due date'}.
+              A snapshot is recorded each day the app is used.
+            </p>
+          </>
+        ) : (
+          <p className="text-sm text-gray-500">No projects to report on.</p>
+        )}
+      </Card>
+
+      <Card className="mb-8">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-700">Team Throughput</h2>
+          {exportButton(handleExportThroughput, false)}
+        </div>
+        <BarChart
+          bars={throughput.map(week => ({
+            key: week.weekStart,
+            label: formatWeekLabel(week.weekStart),
+            value: week.completed,
+            heightPct: (week.completed / maxThroughput) * 100,
+            colorClass: 'bg-blue-500',
+            title: `Week of ${formatWeekLabel(week.weekStart)}: ${week.completed} task${week.completed === 1 ? '' : 's'} completed`,
+          }))}
+        />
+        <p className="mt-2 text-xs text-gray-500">Tasks completed per week over the last {REPORT_WEEKS} weeks, net of tasks reopened.</p>
+      </Card>
+
+      <Card>
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-700">Utilization History</h2>
+          {exportButton(handleExportUtilization, utilization.every(({ history }) => history.length === 0))}
+        </div>
+        {utilization.length === 0 && <p className="text-sm text-gray-500">No team members yet.</p>}
+        <div className="space-y-6">
+          {utilization.map(({ member, history }) => (
+            <div key={member.id}>
+              <h3 className="mb-2 text-sm font-semibold text-gray-800">{member.name}</h3>
+              {history.length === 0 ? (
+                <p className="text-sm text-gray-500">No snapshots recorded for this member yet.</p>
+              ) : (
+                <BarChart
+                  bars={history.map(day => ({
+                    key: day.date,
+                    label: day.date.slice(5),
+                    value: `${day.capacityPct}%`,
+                    heightPct: day.capacityPct,
+                    colorClass: getLoadDisplay(day.load, day.capacity).colorClass,
+                    title: `${day.date}: ${day.load} of ${day.capacity} tasks`,
+                  }))}
+                />
+              )}
+            </div>
+          ))}
+        </div>
+        <p className="mt-4 text-xs text-gray-500">Daily open-task load against that week's capacity, as shown in Team Overview.</p>
+      </Card>
+    </>
+  );
+};
+
+// --- Notification Center Component ---
+
+const NotificationCenter = ({ notifications, prefs, onOpen, onMarkAllRead, onClear, onChangePrefs }) => {
+  const unreadCount = notifications.filter(n => !n.isRead).length;
+  const browserSupported = isBrowserNotificationSupported();
+  const browserBlocked = browserSupported && window.Notification.permission === 'denied';
+
+  return (
+    <div className="grid grid-cols-1 gap-8 lg:grid-cols-3">
+      <Card className="lg:col-span-2">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-700">
+            Inbox {unreadCount > 0 && <span className="text-sm font-normal text-gray-500">({unreadCount} unread)</span>}
+          </h2>
+          <div className="flex space-x-2">
+            <button
+              onClick={onMarkAllRead}
+              disabled={unreadCount === 0}
+              className="flex items-center px-3 py-2 text-sm text-blue-700 bg-blue-100 rounded-lg hover:bg-blue-200 transition disabled:opacity-50"
+            >
+              <CheckSquare className="w-4 h-4 mr-1" /> Mark All Read
+            </button>
+            <button
+              onClick={onClear}
+              disabled={notifications.length === 0}
+              className="flex items-center px-3 py-2 text-sm text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition disabled:opacity-50"
+            >
+              <Trash2 className="w-4 h-4 mr-1" /> Clear
+            </button>
+          </div>
+        </div>
+        {notifications.length === 0 && <p className="text-sm text-gray-500">You're all caught up.</p>}
+        <div className="space-y-3">
+          {notifications.map(notification => (
+            <button
+              key={notification.id}
+              onClick={() => onOpen(notification)}
+              className={`block w-full p-3 text-left text-sm border rounded-lg transition hover:bg-gray-100 ${
+                notification.isRead ? 'bg-white border-gray-100' : 'bg-blue-50 border-blue-200'
+              }`}
+            >
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <span className={`text-gray-800 ${notification.isRead ? '' : 'font-semibold'}`}>{notification.title}</span>
+                <span className="text-xs text-gray-500">{new Date(notification.createdAt).toLocaleString()}</span>
+              </div>
+              <p className="mt-1 text-gray-600">{notification.message}</p>
+              <p className="mt-1 text-xs text-gray-400">{NOTIFICATION_TYPE_LABELS[notification.type]}</p>
+            </button>
+          ))}
+        </div>
+      </Card>
+
+      <Card className="self-start">
+        <h2 className="mb-4 text-xl font-semibold text-gray-700">Notify Me About</h2>
+        <div className="space-y-2 text-sm text-gray-700">
+          {Object.values(NOTIFICATION_TYPES).map(type => (
+            <label key={type} className="flex items-center">
+              <input
+                type="checkbox"
+                checked={prefs[type]}
+                onChange={(e) => onChangePrefs({ ...prefs, [type]: e.target.checked })}
+                className="mr-2"
+              />
+              {NOTIFICATION_TYPE_LABELS[type]}
+            </label>
+          ))}
+        </div>
+        <div className="pt-4 mt-4 text-sm text-gray-700 border-t border-gray-200">
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={prefs.browser}
+              disabled={!browserSupported || browserBlocked}
+              onChange={(e) => onChangePrefs({ ...prefs, browser: e.target.checked })}
+              className="mr-2"
+            />
+            Browser notifications
+          </label>
+          <p className="mt-1 text-xs text-gray-500">
+            {!browserSupported && 'This browser does not support notifications.'}
+            {browserBlocked && 'Notifications are blocked for this site in the browser settings.'}
+            {browserSupported && !browserBlocked && 'Shown by the system while the workspace is in the background.'}
+          </p>
+        </div>
+      </Card>
+    </div>
+  );
+};
+
+// --- Import / Export Component ---
+
+const ImportExport = ({ currentUser, workspace, onImport }) => {
+  const [importMode, setImportMode] = useState(IMPORT_MODES.MERGE);
+  const [csvCollection, setCsvCollection] = useState('projects');
+  const [pendingImport, setPendingImport] = useState(null); // { fileName, incoming } or { fileName, error }
+  const fileInputRef = useRef(null);
+
+  const dateStamp = toDateKey(new Date());
+
+  const handleExportJson = () => {
+    const envelope = { schemaVersion: SCHEMA_VERSION, exportedAt: new Date().toISOString(), data: workspace };
+    downloadFile(`vznx-workspace-${dateStamp}.json`, JSON.stringify(envelope, null, 2), 'application/json');
+  };
+
+  const handleExportCsv = (collection) => {
+    downloadFile(`vznx-${collection}-${dateStamp}.csv`, toCsv(workspace[collection], CSV_COLUMNS[collection]), 'text/csv');
+  };
+
+  const handleFileSelected = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow picking the same file again after discarding
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      const incoming = file.name.toLowerCase().endsWith('.csv')
+        ? { [csvCollection]: parseCollectionCsv(text, csvCollection) }
+        : parseWorkspaceImport(JSON.parse(text));
+      setPendingImport({ fileName: file.name, incoming });
+    } catch (error) {
+      setPendingImport({ fileName: file.name, error: error.message });
+    }
+  };
+
+  const preview = useMemo(
+    () => (pendingImport?.incoming ? buildImportPreview(workspace, pendingImport.incoming, importMode) : null),
+    [pendingImport, workspace, importMode]
+  );
+
+  const handleApplyImport = () => {
+    onImport(preview.result);
+    setPendingImport(null);
+  };
+
+  const canImport = hasPermission(currentUser, PERMISSIONS.IMPORT_DATA);
+
+  return (
+    <>
+      <Card className="mb-8">
+        <h2 className="text-xl font-semibold mb-4 text-gray-700">Export</h2>
+        <div className="flex flex-wrap gap-3">
+          <button
+            onClick={handleExportJson}
+            className="flex items-center px-4 py-3 text-white bg-blue-500 rounded-lg shadow-md hover:bg-blue-600 transition duration-150"
+          >
+            <Download className="w-5 h-5 mr-1" /> Whole Workspace (JSON)
+          </button>
+          {WORKSPACE_COLLECTIONS.map(collection => (
+            <button
+              key={collection}
+              onClick={() => handleExportCsv(collection)}
+              className="flex items-center px-4 py-3 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition duration-150"
+            >
+              <Download className="w-5 h-5 mr-1" /> {COLLECTION_LABELS[collection]} (CSV)
+            </button>
+          ))}
+        </div>
+      </Card>
+
+      <Card>
+        <h2 className="text-xl font-semibold mb-4 text-gray-700">Import</h2>
+        <div className="flex flex-col md:flex-row md:items-center mb-6 space-y-3 md:space-y-0 md:space-x-6 text-sm text-gray-600">
+          <label className="flex items-center">
+            <span className="mr-2">Mode:</span>
+            <select
+              value={importMode}
+              onChange={(e) => setImportMode(e.target.value)}
+              className="p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value={IMPORT_MODES.MERGE}>Merge into current workspace</option>
+              <option value={IMPORT_MODES.REPLACE}>Replace current data</option>
+            </select>
+          </label>
+          <label className="flex items-center">
+            <span className="mr-2">CSV files contain:</span>
+            <select
+              value={csvCollection}
+              onChange={(e) => setCsvCollection(e.target.value)}
+              className="p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+            >
+              {WORKSPACE_COLLECTIONS.map(collection => (
+                <option key={collection} value={collection}>{COLLECTION_LABELS[collection]}</option>
+              ))}
+            </select>
+          </label>
+          <input ref={fileInputRef} type="file" accept=".json,.csv" onChange={handleFileSelected} className="hidden" />
+          <button
+            onClick={() => fileInputRef.current.click()}
+            className="flex items-center justify-center px-4 py-3 text-white bg-green-500 rounded-lg shadow-md hover:bg-green-600 transition duration-150"
+          >
+            <Upload className="w-5 h-5 mr-1" /> Choose File…
+          </button>
+        </div>
+
+        {pendingImport && (
+          <div className="p-4 border border-gray-200 rounded-xl bg-gray-50">
+            <h3 className="text-lg font-bold text-gray-800 mb-3">Preview: {pendingImport.fileName}</h3>
+
+            {pendingImport.error ? (
+              <p className="text-sm text-red-600">This file could not be read: {pendingImport.error}</p>
+            ) : (
+              <>
+                <table className="w-full mb-4 text-sm text-left">
+                  <thead>
+                    <tr className="text-gray-500">
+                      <th className="py-1">Collection</th>
+                      <th className="py-1">Added</th>
+                      <th className="py-1">Updated</th>
+                      <th className="py-1">Removed</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(preview.changes).map(([collection, change]) => (
+                      <tr key={collection} className="border-t border-gray-200 text-gray-700">
+                        <td className="py-1 font-medium">{COLLECTION_LABELS[collection]}</td>
+                        <td className="py-1 text-green-700">+{change.added}</td>
+                        <td className="py-1 text-blue-700">{change.updated}</td>
+                        <td className="py-1 text-red-700">-{change.removed}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                {preview.errors.length > 0 ? (
+                  <div className="mb-4">
+                    <p className="text-sm font-semibold text-red-600 mb-1">
+                      Fix these problems before importing ({preview.errors.length}):
+                    </p>
+                    <ul className="text-sm text-red-600 list-disc list-inside space-y-1">
+                      {preview.errors.map(error => <li key={error}>{error}</li>)}
+                    </ul>
+                  </div>
+                ) : (
+                  <p className="mb-4 text-sm text-green-700">No problems found.</p>
+                )}
+              </>
+            )}
+
+            <div className="flex space-x-2">
+              <button
+                onClick={handleApplyImport}
+                disabled={!canImport || !preview || preview.errors.length > 0}
+                title={canImport ? undefined : getPermissionHint(PERMISSIONS.IMPORT_DATA)}
+                className="px-4 py-2 text-sm text-white bg-blue-500 rounded-lg hover:bg-blue-600 transition disabled:opacity-50"
+              >
+                {importMode === IMPORT_MODES.REPLACE ? 'Replace Data' : 'Merge Data'}
+              </button>
+              <button
+                onClick={() => setPendingImport(null)}
+                className="px-4 py-2 text-sm text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition"
+              >
+                Discard
+              </button>
+            </div>
+          </div>
+        )}
+      </Card>
+    </>
+  );
+};
+
+// Internals exported for the tests in __tests__
+export {
+  DEFAULT_AVAILABILITY,
+  DEFAULT_WORKFLOW,
+  IMPORT_MODES,
+  INITIAL_PROJECTS,
+  INITIAL_TASKS,
+  INITIAL_TEAM,
+  INITIAL_TEMPLATES,
+  MIGRATIONS,
+  NOTIFICATION_TYPES,
+  ROLES,
+  SCHEMA_VERSION,
+  StorageBackendError,
+  WorkspaceSchemaError,
+  buildImportPreview,
+  createHttpAdapter,
+  detectNotifications,
+  loadWorkspace,
+  migrateWorkspace,
+  parseCollectionCsv,
+  parseWorkspaceImport,
+  saveWorkspace,
+};
+
 export default App;
\ No newline at end of file
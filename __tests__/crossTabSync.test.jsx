@@ -0,0 +1,181 @@
+/**
+ * @jest-environment jsdom
+ */
+import React, { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import App from '../VznxWorkspace.jsx';
+
+// Two app instances rendered side by side in one page stand in for two tabs: they share localStorage,
+// sessionStorage and, while it exists, the BroadcastChannel the tabs talk over.
+
+let tabs;
+const nativeBroadcastChannel = window.BroadcastChannel;
+
+// jsdom has no BroadcastChannel, so the tabs talk over this one: like the browser's, it copies each
+// message and delivers it later to every other open channel of the same name
+const openChannels = new Set();
+
+class MemoryBroadcastChannel {
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    openChannels.add(this);
+  }
+
+  postMessage(message) {
+    const data = JSON.parse(JSON.stringify(message));
+    const receivers = [...openChannels].filter(channel => channel !== this && channel.name === this.name);
+    setTimeout(() => receivers.forEach(channel => {
+      if (openChannels.has(channel) && channel.onmessage) channel.onmessage({ data });
+    }));
+  }
+
+  close() {
+    openChannels.delete(this);
+  }
+}
+
+const settle = () => act(async () => { await new Promise(resolve => setTimeout(resolve, 50)); });
+
+const openTabs = async () => {
+  tabs = ['a', 'b'].map(() => {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    return { container, root: createRoot(container) };
+  });
+  await act(async () => tabs.forEach(({ root }) => root.render(<App />)));
+  await settle();
+  return tabs.map(({ container }) => container);
+};
+
+const click = (element) => act(() => {
+  element.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+});
+
+const buttonLabelled = (tab, label) => [...tab.querySelectorAll('button')].find(b => b.textContent.trim() === label);
+
+// Edit a project's progress by hand; until the page settles the other tab has not heard of it
+const editProgress = (tab, projectIndex, value) => {
+  click(tab.querySelectorAll('button[title="Edit Progress"]')[projectIndex]);
+  const input = tab.querySelector('input[type="number"].w-20');
+  act(() => {
+    Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value').set.call(input, String(value));
+    input.dispatchEvent(new window.Event('input', { bubbles: true }));
+  });
+  click(buttonLabelled(tab, 'Save'));
+};
+
+const setProgress = async (tab, projectIndex, value) => {
+  editProgress(tab, projectIndex, value);
+  await settle();
+};
+
+const shownProgress = (tab) => [...tab.querySelectorAll('p')]
+  .map(p => p.textContent)
+  .filter(text => text.startsWith('Progress'))
+  .map(text => Number(text.match(/(\d+)%/)[1]));
+
+const storedProgress = () => JSON.parse(window.localStorage.getItem('vznx_workspace_data')).data.projects.map(p => p.progress);
+
+beforeAll(() => {
+  globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+});
+
+beforeEach(() => {
+  window.localStorage.clear();
+  window.sessionStorage.clear();
+  window.location.hash = '#/projects';
+  window.BroadcastChannel = MemoryBroadcastChannel;
+});
+
+afterEach(async () => {
+  await act(async () => tabs.forEach(({ root }) => root.unmount()));
+  tabs.forEach(({ container }) => container.remove());
+  window.BroadcastChannel = nativeBroadcastChannel;
+  openChannels.clear();
+});
+
+describe('two open tabs', () => {
+  test('see and save each other\'s changes to different records', async () => {
+    const [a, b] = await openTabs();
+
+    await setProgress(a, 0, 11);
+    await setProgress(b, 1, 22);
+
+    expect(shownProgress(a).slice(0, 2)).toEqual([11, 22]);
+    expect(shownProgress(b).slice(0, 2)).toEqual([11, 22]);
+    expect(storedProgress().slice(0, 2)).toEqual([11, 22]);
+  });
+
+  test('raise a conflict for a record both changed, and save the version that is kept', async () => {
+    const [a, b] = await openTabs();
+
+    editProgress(a, 2, 33);
+    editProgress(b, 2, 44);
+    await settle();
+
+    expect(a.textContent).toContain('Another tab or user changed records that were also changed here');
+    expect(b.textContent).toContain('Another tab or user changed records that were also changed here');
+
+    click(buttonLabelled(b, 'Keep Mine'));
+    await settle();
+    click(buttonLabelled(a, 'Use Theirs'));
+    await settle();
+
+    expect(shownProgress(a)[2]).toBe(44);
+    expect(shownProgress(b)[2]).toBe(44);
+    expect(storedProgress()[2]).toBe(44);
+    expect(a.textContent).not.toContain('changed records that were also changed here');
+  });
+
+  test('undo only this tab\'s change and refuse one another tab has changed since', async () => {
+    const [a, b] = await openTabs();
+
+    await setProgress(a, 0, 11);
+    await setProgress(b, 1, 22);
+    click(buttonLabelled(a, 'Undo'));
+    await settle();
+
+    expect(shownProgress(b).slice(0, 2)).toEqual([0, 22]);
+    expect(storedProgress().slice(0, 2)).toEqual([0, 22]);
+
+    await setProgress(a, 2, 33);
+    await setProgress(b, 2, 55);
+    click(buttonLabelled(a, 'Undo'));
+    await settle();
+
+    expect(a.textContent).toContain('Can\'t undo "Set progress manually"');
+    expect(shownProgress(a)[2]).toBe(55);
+    expect(storedProgress()[2]).toBe(55);
+  });
+});
+
+describe('two clients sharing storage without a channel', () => {
+  beforeEach(() => {
+    window.BroadcastChannel = undefined;
+  });
+
+  test('save only their own changes instead of the whole workspace', async () => {
+    const [a, b] = await openTabs();
+
+    await setProgress(a, 0, 11);
+    await setProgress(b, 1, 22);
+
+    expect(storedProgress().slice(0, 2)).toEqual([11, 22]);
+  });
+
+  test('keep the first saved version of a record both changed and raise a conflict in the other', async () => {
+    const [a, b] = await openTabs();
+
+    await setProgress(a, 2, 33);
+    await setProgress(b, 2, 44);
+
+    expect(storedProgress()[2]).toBe(33);
+    expect(b.textContent).toContain('Another tab or user changed records that were also changed here');
+
+    click(buttonLabelled(b, 'Keep Mine'));
+    await settle();
+
+    expect(storedProgress()[2]).toBe(44);
+  });
+});
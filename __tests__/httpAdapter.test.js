@@ -0,0 +1,130 @@
+import http from 'node:http';
+import {
+  SCHEMA_VERSION,
+  StorageBackendError,
+  WorkspaceSchemaError,
+  createHttpAdapter,
+  loadWorkspace,
+  saveWorkspace,
+} from '../VznxWorkspace.jsx';
+
+// A stand-in for the workspace API: records every request and answers with the current `respond`
+let requests;
+let respond;
+let server;
+let baseUrl;
+
+const listen = (target) => new Promise(resolve => target.listen(0, '127.0.0.1', () => resolve(target.address().port)));
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, contentType: req.headers['content-type'], body };
+      requests.push(request);
+      const { status = 200, body: responseBody = '' } = respond(request);
+      res.statusCode = status;
+      res.end(responseBody);
+    });
+  });
+  baseUrl = `http://127.0.0.1:${await listen(server)}/api`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+  respond = () => ({ status: 200 });
+});
+
+const adapter = () => createHttpAdapter({ baseUrl, fetchImpl: fetch });
+
+describe('createHttpAdapter', () => {
+  test('reads the workspace with GET /workspace', async () => {
+    respond = () => ({ body: '{"schemaVersion":1}' });
+
+    await expect(adapter().read()).resolves.toBe('{"schemaVersion":1}');
+    expect(requests).toEqual([expect.objectContaining({ method: 'GET', url: '/api/workspace' })]);
+  });
+
+  test('reads an empty backend as null', async () => {
+    respond = () => ({ status: 404 });
+
+    await expect(adapter().read()).resolves.toBeNull();
+  });
+
+  test('ignores a trailing slash on the base URL', async () => {
+    await createHttpAdapter({ baseUrl: `${baseUrl}//`, fetchImpl: fetch }).read();
+
+    expect(requests[0].url).toBe('/api/workspace');
+  });
+
+  test('writes the workspace as JSON with PUT /workspace', async () => {
+    await adapter().write('{"data":{}}');
+
+    expect(requests).toEqual([{ method: 'PUT', url: '/api/workspace', contentType: 'application/json', body: '{"data":{}}' }]);
+  });
+
+  test('posts a backup to /workspace/backups and returns its id', async () => {
+    respond = () => ({ status: 201, body: '{"id":"backup-7"}' });
+
+    await expect(adapter().backup('not json', 'Unreadable')).resolves.toBe('backup-7');
+    expect(requests).toEqual([expect.objectContaining({ method: 'POST', url: '/api/workspace/backups', contentType: 'application/json' })]);
+    expect(JSON.parse(requests[0].body)).toEqual({ reason: 'Unreadable', raw: 'not json' });
+  });
+
+  test.each([
+    ['read', (storage) => storage.read(), 'GET'],
+    ['write', (storage) => storage.write('{}'), 'PUT'],
+    ['backup', (storage) => storage.backup('{}', 'Unreadable'), 'POST'],
+  ])('rejects a failed %s as a reachable backend error', async (_, call, method) => {
+    respond = () => ({ status: 500 });
+
+    const error = await call(adapter()).catch(failure => failure);
+
+    expect(error).toBeInstanceOf(StorageBackendError);
+    expect(error.isUnreachable).toBe(false);
+    expect(error.message).toBe(`${method} ${baseUrl}/workspace${method === 'POST' ? '/backups' : ''} failed with status 500`);
+  });
+
+  test('rejects as unreachable when nothing answers', async () => {
+    const closed = http.createServer();
+    const port = await listen(closed);
+    await new Promise(resolve => closed.close(resolve));
+
+    const error = await createHttpAdapter({ baseUrl: `http://127.0.0.1:${port}`, fetchImpl: fetch }).write('{}').catch(failure => failure);
+
+    expect(error).toBeInstanceOf(StorageBackendError);
+    expect(error.isUnreachable).toBe(true);
+    expect(error.message).toMatch(`Could not reach http://127.0.0.1:${port}/workspace`);
+  });
+});
+
+describe('loading and saving through the HTTP adapter', () => {
+  test('saves a versioned envelope that loads back', async () => {
+    let stored = null;
+    respond = ({ method, body }) => {
+      if (method === 'PUT') stored = body;
+      return stored ? { body: stored } : { status: 404 };
+    };
+    const workspace = { projects: [], tasks: [], teamMembers: [], workflow: [], savedViews: [], templates: [], activity: [], snapshots: [] };
+
+    await expect(loadWorkspace(adapter())).resolves.toBeNull();
+    await saveWorkspace(adapter(), workspace);
+
+    expect(JSON.parse(stored)).toEqual(expect.objectContaining({ schemaVersion: SCHEMA_VERSION, data: workspace }));
+    await expect(loadWorkspace(adapter())).resolves.toEqual(expect.objectContaining(workspace));
+  });
+
+  test('backs up an unreadable server copy and reports the backup id', async () => {
+    respond = ({ method }) => (method === 'GET' ? { body: '{"schemaVersion":' } : { status: 201, body: '{"id":"backup-9"}' });
+
+    const error = await loadWorkspace(adapter()).catch(failure => failure);
+
+    expect(error).toBeInstanceOf(WorkspaceSchemaError);
+    expect(error.backupKey).toBe('backup-9');
+    expect(requests.map(r => `${r.method} ${r.url}`)).toEqual(['GET /api/workspace', 'POST /api/workspace/backups']);
+    expect(JSON.parse(requests[1].body).raw).toBe('{"schemaVersion":');
+  });
+});
@@ -0,0 +1,87 @@
+import {
+  DEFAULT_WORKFLOW,
+  IMPORT_MODES,
+  SCHEMA_VERSION,
+  buildImportPreview,
+  migrateWorkspace,
+  parseCollectionCsv,
+  parseWorkspaceImport,
+} from '../VznxWorkspace.jsx';
+
+const current = () => migrateWorkspace({
+  schemaVersion: SCHEMA_VERSION,
+  data: {
+    projects: [{ id: 'p1', name: 'Library', status: 'In Progress', progress: 0 }],
+    tasks: [],
+    teamMembers: [{ id: 'm1', name: 'Ana', maxCapacity: 4 }],
+    workflow: DEFAULT_WORKFLOW,
+    savedViews: [],
+    templates: [{ id: 'tpl-own', name: 'Our template', tasks: [] }],
+  },
+});
+
+describe('parseWorkspaceImport', () => {
+  test('rejects a file without one of the record collections instead of filling in demo data', () => {
+    expect(() => parseWorkspaceImport({ schemaVersion: 1, data: { projects: [], teamMembers: [] } })).toThrow('The file has no tasks list');
+    expect(() => parseWorkspaceImport({ tasks: [] })).toThrow('The file has no projects, team members list');
+  });
+
+  test('leaves out settings the file does not carry, so the current ones are kept', () => {
+    const incoming = parseWorkspaceImport({ schemaVersion: 10, data: { projects: [], tasks: [], teamMembers: [], workflow: DEFAULT_WORKFLOW } });
+
+    expect(incoming.templates).toBeUndefined();
+    expect(incoming.savedViews).toBeUndefined();
+    expect(incoming.workflow).toEqual(DEFAULT_WORKFLOW);
+    expect(buildImportPreview(current(), incoming, IMPORT_MODES.MERGE).result.templates).toEqual([{ id: 'tpl-own', name: 'Our template', tasks: [] }]);
+  });
+
+  test('migrates the records the file does carry', () => {
+    const incoming = parseWorkspaceImport({ projects: [], tasks: [], teamMembers: [{ id: 'm2', name: 'Ben' }] });
+
+    expect(incoming.teamMembers[0].maxCapacity).toBe(5);
+    expect(incoming.projects).toEqual([]);
+    expect(incoming.templates).toBeUndefined();
+  });
+});
+
+describe('import field validation', () => {
+  test('reports JSON fields of the wrong type by row and column', () => {
+    const incoming = parseWorkspaceImport({
+      schemaVersion: SCHEMA_VERSION,
+      data: {
+        projects: [{ id: 'p2', name: 'Tower', status: 'In Progress', progress: '40%', dueDate: 'soon' }],
+        tasks: [],
+        teamMembers: [],
+      },
+    });
+
+    expect(buildImportPreview(current(), incoming, IMPORT_MODES.MERGE).errors).toEqual([
+      'Projects row 1, column "progress": "40%" is not a number.',
+      'Projects row 1, column "dueDate": "soon" is not a date (YYYY-MM-DD).',
+    ]);
+  });
+
+  test('reports non-numeric CSV cells instead of importing NaN', () => {
+    const records = parseCollectionCsv('id,name,maxCapacity,maxEffort\r\nm2,Ben,abc,\r\nm3,Cy,3,8\r\n', 'teamMembers');
+
+    expect(records[0].maxCapacity).toBe('abc');
+    expect(records[1]).toEqual({ id: 'm3', name: 'Cy', maxCapacity: 3, maxEffort: 8 });
+    expect(buildImportPreview(current(), { teamMembers: records }, IMPORT_MODES.MERGE).errors).toEqual([
+      'Team Members row 1, column "maxCapacity": "abc" is not a number.',
+    ]);
+  });
+
+  test('reports CSV booleans other than true or false', () => {
+    const records = parseCollectionCsv('id,projectId,name,isComplete\r\nt1,p1,Survey,yes\r\n', 'tasks');
+
+    expect(buildImportPreview(current(), { tasks: records }, IMPORT_MODES.MERGE).errors).toEqual([
+      'Tasks row 1, column "isComplete": "yes" is not true or false.',
+    ]);
+  });
+
+  test('accepts well-formed CSV rows', () => {
+    const records = parseCollectionCsv('id,projectId,name,isComplete,estimate,dueDate\r\nt1,p1,Survey,TRUE,2.5,2026-02-01\r\n', 'tasks');
+
+    expect(buildImportPreview(current(), { tasks: records }, IMPORT_MODES.MERGE).errors).toEqual([]);
+  });
+});
@@ -0,0 +1,257 @@
+import {
+  DEFAULT_AVAILABILITY,
+  DEFAULT_WORKFLOW,
+  INITIAL_PROJECTS,
+  INITIAL_TASKS,
+  INITIAL_TEMPLATES,
+  MIGRATIONS,
+  ROLES,
+  SCHEMA_VERSION,
+  WorkspaceSchemaError,
+  migrateWorkspace,
+} from '../VznxWorkspace.jsx';
+
+// The workspace as each schema version saved it: every field is present from the version that introduced it
+const historicalShape = (version) => ({
+  projects: [
+    {
+      id: 'p1',
+      name: 'Library Extension',
+      status: 'In Progress',
+      progress: 50,
+      ...(version >= 2 && { startDate: '2026-01-05', dueDate: '2026-03-01', progressMode: 'effort', isManualProgress: false }),
+    },
+  ],
+  tasks: [
+    {
+      id: 't1',
+      projectId: 'p1',
+      name: 'Site Survey',
+      isComplete: true,
+      assignedToMemberId: 'm1',
+      ...(version >= 2 && { startDate: null, dueDate: '2026-01-20', estimate: 3 }),
+      ...(version >= 5 && { dependsOn: [] }),
+      ...(version >= 6 && { status: 'done' }),
+      ...(version >= 12 && { checklist: [{ id: 'c1', text: 'Photos', isDone: true }], comments: [] }),
+    },
+    {
+      id: 't2',
+      projectId: 'p1',
+      name: 'Concept Sketches',
+      isComplete: false,
+      assignedToMemberId: 'm2',
+      ...(version >= 2 && { startDate: null, dueDate: null, estimate: null }),
+      ...(version >= 5 && { dependsOn: ['t1'] }),
+      ...(version >= 6 && { status: 'in-review' }),
+      ...(version >= 12 && { checklist: [], comments: [] }),
+    },
+  ],
+  teamMembers: [
+    {
+      id: 'm1',
+      name: 'Ana',
+      maxCapacity: 4,
+      ...(version >= 2 && { maxEffort: 8 }),
+      ...(version >= 4 && { availability: { workingDays: [1, 2, 3], allocationPct: 60, leave: [] } }),
+      ...(version >= 9 && { role: ROLES.LEAD }),
+    },
+    {
+      id: 'm2',
+      name: 'Ben',
+      maxCapacity: 6,
+      ...(version >= 2 && { maxEffort: null }),
+      ...(version >= 4 && { availability: DEFAULT_AVAILABILITY }),
+      ...(version >= 9 && { role: ROLES.ADMIN }),
+    },
+  ],
+  ...(version >= 3 && version < 13 && { history: { past: [], future: [] } }),
+  ...(version >= 6 && { workflow: DEFAULT_WORKFLOW }),
+  ...(version >= 7 && { savedViews: [{ id: 'v1', name: 'Late work', path: '/projects?schedule=Overdue' }] }),
+  ...(version >= 8 && { activity: [] }),
+  ...(version >= 10 && { snapshots: [{ date: '2026-01-10', projects: [], members: [] }] }),
+  ...(version >= 11 && { templates: [] }),
+});
+
+const envelope = (version, data) => ({ schemaVersion: version, savedAt: '2026-01-10T09:00:00.000Z', data });
+
+const expectCurrentShape = (workspace) => {
+  ['projects', 'tasks', 'teamMembers', 'workflow', 'savedViews', 'templates', 'activity', 'snapshots'].forEach(collection => {
+    expect(Array.isArray(workspace[collection])).toBe(true);
+  });
+  workspace.tasks.forEach(task => {
+    expect(task).toEqual(expect.objectContaining({
+      dependsOn: expect.any(Array),
+      status: expect.any(String),
+      checklist: expect.any(Array),
+      comments: expect.any(Array),
+    }));
+  });
+  workspace.teamMembers.forEach(member => {
+    expect(member.maxCapacity).toBeGreaterThan(0);
+    expect(member.availability).toEqual(expect.objectContaining({ workingDays: expect.any(Array) }));
+    expect(Object.values(ROLES)).toContain(member.role);
+  });
+};
+
+describe('migrations', () => {
+  test('are numbered consecutively up to the current schema version', () => {
+    expect(MIGRATIONS.map(migration => migration.version)).toEqual(
+      Array.from({ length: SCHEMA_VERSION }, (_, index) => index + 1)
+    );
+  });
+});
+
+describe('migrateWorkspace: unversioned (v0) saves', () => {
+  test('keeps saved records and gives members without a capacity the default of 5', () => {
+    const blob = historicalShape(0);
+    delete blob.teamMembers[1].maxCapacity;
+
+    const workspace = migrateWorkspace(blob);
+
+    expectCurrentShape(workspace);
+    expect(workspace.projects.map(p => p.name)).toEqual(['Library Extension']);
+    expect(workspace.teamMembers.map(m => m.maxCapacity)).toEqual([4, 5]);
+  });
+
+  test('replaces a zero or negative capacity', () => {
+    const blob = historicalShape(0);
+    blob.teamMembers[0].maxCapacity = 0;
+    blob.teamMembers[1].maxCapacity = -2;
+
+    expect(migrateWorkspace(blob).teamMembers.map(m => m.maxCapacity)).toEqual([5, 5]);
+  });
+
+  test('fills collections missing from the blob', () => {
+    const workspace = migrateWorkspace({ teamMembers: historicalShape(0).teamMembers });
+
+    expectCurrentShape(workspace);
+    expect(workspace.projects.map(p => p.id)).toEqual(INITIAL_PROJECTS.map(p => p.id));
+    expect(workspace.tasks.map(t => t.id)).toEqual(INITIAL_TASKS.map(t => t.id));
+    expect(workspace.teamMembers.map(m => m.id)).toEqual(['m1', 'm2']);
+  });
+
+  test('places tasks in a workflow column by their completion', () => {
+    const workspace = migrateWorkspace(historicalShape(0));
+
+    expect(workspace.workflow).toEqual(DEFAULT_WORKFLOW);
+    expect(workspace.tasks.map(t => [t.status, t.isComplete])).toEqual([['done', true], ['todo', false]]);
+  });
+
+  test('makes the first member the admin', () => {
+    expect(migrateWorkspace(historicalShape(0)).teamMembers.map(m => m.role)).toEqual([ROLES.ADMIN, ROLES.MEMBER]);
+  });
+});
+
+describe('migrateWorkspace: versioned saves', () => {
+  const olderVersions = Array.from({ length: SCHEMA_VERSION }, (_, index) => index + 1);
+
+  test.each(olderVersions)('brings a v%i save up to the current schema without losing data', (version) => {
+    const workspace = migrateWorkspace(envelope(version, historicalShape(version)));
+
+    expectCurrentShape(workspace);
+    expect(workspace.projects[0]).toEqual(expect.objectContaining({ id: 'p1', name: 'Library Extension', progress: 50 }));
+    expect(workspace.tasks.map(t => t.isComplete)).toEqual([true, false]);
+    expect(workspace.teamMembers.map(m => m.maxCapacity)).toEqual([4, 6]);
+  });
+
+  test.each(olderVersions.filter(version => version >= 2))('keeps v%i schedule, effort and progress fields', (version) => {
+    const { projects, tasks, teamMembers } = migrateWorkspace(envelope(version, historicalShape(version)));
+
+    expect(projects[0]).toEqual(expect.objectContaining({ startDate: '2026-01-05', dueDate: '2026-03-01', progressMode: 'effort' }));
+    expect(tasks[0]).toEqual(expect.objectContaining({ dueDate: '2026-01-20', estimate: 3 }));
+    expect(teamMembers[0].maxEffort).toBe(8);
+  });
+
+  test('v1 saves get empty schedule fields and count-based progress', () => {
+    const { projects, tasks, teamMembers } = migrateWorkspace(envelope(1, historicalShape(1)));
+
+    expect(projects[0]).toEqual(expect.objectContaining({ startDate: null, dueDate: null, progressMode: 'count', isManualProgress: false }));
+    expect(tasks[1]).toEqual(expect.objectContaining({ startDate: null, dueDate: null, estimate: null }));
+    expect(teamMembers[1].maxEffort).toBeNull();
+  });
+
+  test.each(olderVersions.filter(version => version < 4))('gives v%i members full-time availability', (version) => {
+    const { teamMembers } = migrateWorkspace(envelope(version, historicalShape(version)));
+
+    expect(teamMembers.map(m => m.availability)).toEqual([DEFAULT_AVAILABILITY, DEFAULT_AVAILABILITY]);
+  });
+
+  test.each(olderVersions.filter(version => version >= 4))('keeps v%i availability', (version) => {
+    const { teamMembers } = migrateWorkspace(envelope(version, historicalShape(version)));
+
+    expect(teamMembers[0].availability).toEqual({ workingDays: [1, 2, 3], allocationPct: 60, leave: [] });
+  });
+
+  test.each(olderVersions.filter(version => version < 5))('gives v%i tasks no dependencies', (version) => {
+    expect(migrateWorkspace(envelope(version, historicalShape(version))).tasks.map(t => t.dependsOn)).toEqual([[], []]);
+  });
+
+  test.each(olderVersions.filter(version => version >= 5))('keeps v%i dependencies', (version) => {
+    expect(migrateWorkspace(envelope(version, historicalShape(version))).tasks[1].dependsOn).toEqual(['t1']);
+  });
+
+  test.each(olderVersions.filter(version => version >= 6))('keeps v%i workflow columns', (version) => {
+    expect(migrateWorkspace(envelope(version, historicalShape(version))).tasks[1].status).toBe('in-review');
+  });
+
+  test.each(olderVersions.filter(version => version >= 7))('keeps v%i saved views', (version) => {
+    expect(migrateWorkspace(envelope(version, historicalShape(version))).savedViews.map(v => v.id)).toEqual(['v1']);
+  });
+
+  test.each(olderVersions.filter(version => version < 9))('gives v%i members a role, the first one admin', (version) => {
+    expect(migrateWorkspace(envelope(version, historicalShape(version))).teamMembers.map(m => m.role)).toEqual([ROLES.ADMIN, ROLES.MEMBER]);
+  });
+
+  test.each(olderVersions.filter(version => version >= 9))('keeps v%i roles', (version) => {
+    expect(migrateWorkspace(envelope(version, historicalShape(version))).teamMembers.map(m => m.role)).toEqual([ROLES.LEAD, ROLES.ADMIN]);
+  });
+
+  test.each(olderVersions.filter(version => version >= 10))('keeps v%i snapshots', (version) => {
+    expect(migrateWorkspace(envelope(version, historicalShape(version))).snapshots.map(s => s.date)).toEqual(['2026-01-10']);
+  });
+
+  test.each(olderVersions.filter(version => version < 11))('gives v%i saves the built-in templates', (version) => {
+    expect(migrateWorkspace(envelope(version, historicalShape(version))).templates).toEqual(INITIAL_TEMPLATES);
+  });
+
+  test.each(olderVersions.filter(version => version >= 11))('keeps v%i templates, even an empty list', (version) => {
+    expect(migrateWorkspace(envelope(version, historicalShape(version))).templates).toEqual([]);
+  });
+
+  test('keeps v12 checklists', () => {
+    expect(migrateWorkspace(envelope(12, historicalShape(12))).tasks[0].checklist).toEqual([{ id: 'c1', text: 'Photos', isDone: true }]);
+  });
+
+  test.each(olderVersions.filter(version => version >= 3 && version < 13))('drops the v%i undo history, which every tab now keeps itself', (version) => {
+    expect(migrateWorkspace(envelope(version, historicalShape(version)))).not.toHaveProperty('history');
+  });
+
+  test('defaults the activity log and snapshots left out of JSON exports', () => {
+    const exported = historicalShape(SCHEMA_VERSION);
+    delete exported.activity;
+    delete exported.snapshots;
+
+    const workspace = migrateWorkspace(envelope(SCHEMA_VERSION, exported));
+
+    expect(workspace.activity).toEqual([]);
+    expect(workspace.snapshots).toEqual([]);
+  });
+});
+
+describe('migrateWorkspace: unreadable saves', () => {
+  test('rejects a save from a newer schema', () => {
+    expect(() => migrateWorkspace(envelope(SCHEMA_VERSION + 1, historicalShape(SCHEMA_VERSION))))
+      .toThrow(WorkspaceSchemaError);
+  });
+
+  test.each([null, 'workspace', [1, 2]])('rejects %j', (stored) => {
+    expect(() => migrateWorkspace(stored)).toThrow(WorkspaceSchemaError);
+  });
+
+  test('rejects a versioned save that lacks a collection it should have', () => {
+    const data = historicalShape(SCHEMA_VERSION);
+    delete data.workflow;
+
+    expect(() => migrateWorkspace(envelope(SCHEMA_VERSION, data))).toThrow(/workflow/);
+  });
+});
@@ -0,0 +1,42 @@
+import { NOTIFICATION_TYPES, detectNotifications } from '../VznxWorkspace.jsx';
+
+const workspace = {
+  projects: [],
+  tasks: [],
+  // Two members who share a name
+  teamMembers: [
+    { id: 'm1', name: 'Sam Lee', maxCapacity: 5 },
+    { id: 'm2', name: 'Sam Lee', maxCapacity: 5 },
+  ],
+};
+
+const taskEntry = (fields) => ({
+  id: 'a1',
+  entityType: 'task',
+  entityName: 'Site Survey',
+  action: 'Edit task',
+  projectId: 'p1',
+  memberIds: ['m1', 'm2'],
+  actor: 'Sam Lee',
+  ...fields,
+});
+
+const taskChangeRecipients = (entry) => detectNotifications(workspace, workspace, [entry])
+  .filter(n => n.type === NOTIFICATION_TYPES.TASK_CHANGE)
+  .map(n => n.recipientIds);
+
+describe('detectNotifications: task changes', () => {
+  test('skips only the member who made the change, by id', () => {
+    expect(taskChangeRecipients(taskEntry({ actorId: 'm1' }))).toEqual([['m2']]);
+  });
+
+  test('falls back to the actor name for entries logged without an id', () => {
+    expect(taskChangeRecipients(taskEntry({}))).toEqual([]);
+  });
+
+  test('keys the notification by the activity entry', () => {
+    const [notification] = detectNotifications(workspace, workspace, [taskEntry({ actorId: 'm1' })]);
+
+    expect(notification.key).toBe('activity:a1');
+  });
+});
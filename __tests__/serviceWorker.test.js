@@ -0,0 +1,105 @@
+import { readFileSync } from 'node:fs';
+
+// Runs service-worker.js against stand-ins for the worker globals: `deployed` is what the server has,
+// keyed by path, and `cached` what the worker put in its cache, keyed by URL.
+
+const ORIGIN = 'https://workspace.example';
+const source = readFileSync(new URL('../service-worker.js', import.meta.url), 'utf8');
+
+const INDEX_HTML = `<!doctype html>
+<html>
+  <head>
+    <link rel="preconnect" href="https://fonts.example">
+    <link rel="stylesheet" href="/assets/index-3f2a.css">
+    <link rel="modulepreload" href="/assets/vendor-9c1d.js">
+  </head>
+  <body>
+    <div id="root"></div>
+    <script type="module" src="/assets/index-b7e4.js"></script>
+    <script src="https://cdn.example/analytics.js"></script>
+  </body>
+</html>`;
+
+let deployed;
+let cached;
+let listeners;
+
+const fetchDeployed = async (url) => {
+  const { origin, pathname } = new URL(url, ORIGIN);
+  if (origin !== ORIGIN || !(pathname in deployed)) return new Response('Not found', { status: 404 });
+  return new Response(deployed[pathname], { status: 200 });
+};
+
+const cache = {
+  // Like the real one, addAll stores nothing unless every response is ok
+  addAll: async (urls) => {
+    const responses = await Promise.all(urls.map(fetchDeployed));
+    if (responses.some(response => !response.ok)) throw new TypeError('Request failed');
+    urls.forEach((url, index) => cached.set(new URL(url, ORIGIN).href, responses[index]));
+  },
+  add: (url) => cache.addAll([url]),
+  match: async (url) => cached.get(new URL(url, ORIGIN).href)?.clone(),
+  put: async (url, response) => { cached.set(new URL(url, ORIGIN).href, response); },
+};
+
+const install = async () => {
+  let installed;
+  listeners.install({ waitUntil: (promise) => { installed = promise; } });
+  await installed;
+};
+
+const cachedPaths = () => [...cached.keys()].map(url => new URL(url).pathname).sort();
+
+beforeEach(() => {
+  deployed = {
+    '/': INDEX_HTML,
+    '/index.html': INDEX_HTML,
+    '/assets/index-3f2a.css': 'body {}',
+    '/assets/vendor-9c1d.js': '',
+    '/assets/index-b7e4.js': '',
+    '/manifest.webmanifest': '{}',
+    '/icon.svg': '<svg></svg>',
+  };
+  cached = new Map();
+  listeners = {};
+  const self = {
+    location: new URL(`${ORIGIN}/service-worker.js`),
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+    skipWaiting: async () => {},
+    clients: { claim: async () => {}, matchAll: async () => [] },
+  };
+  const caches = { open: async () => cache, keys: async () => [], delete: async () => true, match: cache.match };
+  new Function('self', 'caches', 'fetch', source)(self, caches, fetchDeployed);
+});
+
+describe('installing the service worker', () => {
+  test('caches the page with the same-origin bundles it loads, so the app opens offline after one visit', async () => {
+    await install();
+
+    expect(cachedPaths()).toEqual([
+      '/',
+      '/assets/index-3f2a.css',
+      '/assets/index-b7e4.js',
+      '/assets/vendor-9c1d.js',
+      '/icon.svg',
+      '/index.html',
+      '/manifest.webmanifest',
+    ]);
+  });
+
+  test('succeeds when the manifest and icon are not deployed', async () => {
+    delete deployed['/manifest.webmanifest'];
+    delete deployed['/icon.svg'];
+
+    await install();
+
+    expect(cachedPaths()).toContain('/assets/index-b7e4.js');
+    expect(cachedPaths()).not.toContain('/icon.svg');
+  });
+
+  test('fails when a bundle the page loads is missing', async () => {
+    delete deployed['/assets/index-b7e4.js'];
+
+    await expect(install()).rejects.toThrow('Request failed');
+  });
+});
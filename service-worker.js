@@ -0,0 +1,91 @@
+// --- VZNX Workspace Service Worker ---
+
+// Caches the app shell so the workspace opens without a connection and can be installed as a PWA.
+// Installing caches index.html together with the script and style bundles it loads, so the app opens
+// offline right after the first visit.
+// Page loads go to the network first and fall back to the cached shell; static assets are served
+// from the cache and refreshed in the background. Workspace API calls are plain fetches and are
+// never cached here: offline writes wait in the app's own outbox (see "Offline Support" in
+// VznxWorkspace.jsx).
+
+const CACHE_NAME = 'vznx-shell-v2'; // Bump to drop every cached asset on the next activation
+const APP_SHELL = ['/', '/index.html'];
+const OPTIONAL_ASSETS = ['/manifest.webmanifest', '/icon.svg']; // Only needed to install the app; may not be deployed
+const CACHED_DESTINATIONS = ['script', 'style', 'image', 'font', 'manifest'];
+const OUTBOX_SYNC_TAG = 'vznx-outbox'; // Must match OUTBOX_SYNC_TAG in the app
+
+// Same-origin scripts, stylesheets and module preloads referenced by `html`. Bundle names change with
+// every build, so they are read from the page rather than listed here.
+const findBundles = (html) => [...html.matchAll(/<(script|link)\b[^>]*>/gi)]
+  .filter(([tag, name]) => name.toLowerCase() === 'script' || /\brel=["']?(stylesheet|modulepreload)\b/i.test(tag))
+  .map(([tag]) => tag.match(/\b(?:src|href)=["']?([^"'\s>]+)/i))
+  .filter(Boolean)
+  .map(match => new URL(match[1], self.location.href))
+  .filter(url => url.origin === self.location.origin)
+  .map(url => url.href);
+
+// Without its bundles the cached page would open blank, so a missing bundle fails the install
+const cacheAppShell = async (cache) => {
+  await cache.addAll(APP_SHELL);
+  const page = await cache.match('/index.html');
+  await cache.addAll(findBundles(await page.text()));
+  await Promise.all(OPTIONAL_ASSETS.map(url => cache.add(url).catch(() => {})));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cacheAppShell)
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Every route is served by index.html (see _redirects), so one cached copy covers all pages
+const handleNavigation = (request) => fetch(request)
+  .then(response => {
+    if (response.ok) {
+      const copy = response.clone();
+      caches.open(CACHE_NAME).then(cache => cache.put('/index.html', copy));
+    }
+    return response;
+  })
+  .catch(() => caches.match('/index.html'));
+
+const handleAsset = (event) => caches.open(CACHE_NAME).then(async cache => {
+  const cached = await cache.match(event.request);
+  const refresh = fetch(event.request).then(response => {
+    if (response.ok) cache.put(event.request, response.clone());
+    return response;
+  });
+  if (!cached) return refresh;
+  event.waitUntil(refresh.catch(() => {})); // Offline: keep serving the cached copy
+  return cached;
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (CACHED_DESTINATIONS.includes(request.destination)) {
+    event.respondWith(handleAsset(event));
+  }
+});
+
+// The page merges the outbox into the server copy before sending it, so a Background Sync wake-up asks open tabs to send it
+self.addEventListener('sync', (event) => {
+  if (event.tag !== OUTBOX_SYNC_TAG) return;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' })
+      .then(clients => clients.forEach(client => client.postMessage({ type: 'flush-outbox' })))
+  );
+});